@@ -0,0 +1,233 @@
+// -----------------------------------------------------------
+// Board attacks
+//
+// chess.js only tells which moves are legal, not which squares a piece attacks, so this
+// works on its own board: parseFenBoard(fen) returns { e4: { type: "p", color: "w" }, ... }
+// with only the occupied squares.  A piece attacks a square when it could capture on it,
+// whatever stands there, so defending one's own piece counts as attacking its square.
+
+const BOARD_FILES = "abcdefgh";
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0], [-1, -1], [0, -1], [1, -1]];
+const ROOK_DIRECTIONS = [[1, 0], [0, 1], [-1, 0], [0, -1]];
+const BISHOP_DIRECTIONS = [[1, 1], [-1, 1], [-1, -1], [1, -1]];
+
+function parseFenBoard(fen) {
+  const board = {};
+  fen
+    .split(" ")[0]
+    .split("/")
+    .forEach((row, i) => {
+      let file = 0;
+      for (const ch of row) {
+        if (/\d/.test(ch)) {
+          file += parseInt(ch, 10);
+        } else {
+          board[boardSquare(file, 7 - i)] = { type: ch.toLowerCase(), color: ch === ch.toLowerCase() ? "b" : "w" };
+          file++;
+        }
+      }
+    });
+  return board;
+}
+
+// "e4" for file 4, rank 3 (both from 0), or null off the board
+function boardSquare(file, rank) {
+  if (file < 0 || file > 7 || rank < 0 || rank > 7) return null;
+  return `${BOARD_FILES[file]}${rank + 1}`;
+}
+
+function squareCoords(square) {
+  return [BOARD_FILES.indexOf(square[0]), parseInt(square[1], 10) - 1];
+}
+
+// Whether a piece of this type attacks along the given direction
+function slidesAlong(type, [df, dr]) {
+  const straight = df === 0 || dr === 0;
+  return type === "q" || (type === "r" && straight) || (type === "b" && !straight);
+}
+
+// Return [{ square, type, color }] for the pieces of the given color that attack square.
+// With xray, pieces behind an attacker that slide the same way (batteries) count too.
+function squareAttackers(board, square, color, xray = false) {
+  const [file, rank] = squareCoords(square);
+  const attackers = [];
+  const add = (from) => attackers.push({ square: from, ...board[from] });
+  const isPiece = (from, type) => from && board[from] && board[from].color === color && board[from].type === type;
+
+  // A white pawn attacks upwards, so it stands one rank below the square
+  const pawnRank = color === "w" ? rank - 1 : rank + 1;
+  [-1, 1].forEach((df) => {
+    const from = boardSquare(file + df, pawnRank);
+    if (isPiece(from, "p")) add(from);
+  });
+
+  KNIGHT_STEPS.forEach(([df, dr]) => {
+    const from = boardSquare(file + df, rank + dr);
+    if (isPiece(from, "n")) add(from);
+  });
+
+  KING_STEPS.forEach(([df, dr]) => {
+    const from = boardSquare(file + df, rank + dr);
+    if (isPiece(from, "k")) add(from);
+  });
+
+  [...ROOK_DIRECTIONS, ...BISHOP_DIRECTIONS].forEach((direction) => {
+    const [df, dr] = direction;
+    for (let step = 1; ; step++) {
+      const from = boardSquare(file + df * step, rank + dr * step);
+      if (!from) break;
+
+      const piece = board[from];
+      if (!piece) continue;
+
+      // A bishop or queen behind an attacking pawn backs it up
+      const backedPawn = step === 1 && piece.type === "p" && dr === pawnRank - rank && df !== 0;
+      if (xray && backedPawn && piece.color === color) continue;
+      if (piece.color !== color || !slidesAlong(piece.type, direction)) break;
+
+      add(from);
+      if (!xray) break;
+    }
+  });
+
+  return attackers;
+}
+
+// Return the squares the piece on square attacks
+function pieceAttacks(board, square) {
+  const piece = board[square];
+  const [file, rank] = squareCoords(square);
+  const squares = [];
+  const addStep = ([df, dr]) => {
+    const to = boardSquare(file + df, rank + dr);
+    if (to) squares.push(to);
+  };
+
+  if (piece.type === "p") [-1, 1].forEach((df) => addStep([df, piece.color === "w" ? 1 : -1]));
+  if (piece.type === "n") KNIGHT_STEPS.forEach(addStep);
+  if (piece.type === "k") KING_STEPS.forEach(addStep);
+
+  [...ROOK_DIRECTIONS, ...BISHOP_DIRECTIONS]
+    .filter((direction) => slidesAlong(piece.type, direction))
+    .forEach(([df, dr]) => {
+      for (let step = 1; ; step++) {
+        const to = boardSquare(file + df * step, rank + dr * step);
+        if (!to) break;
+        squares.push(to);
+        if (board[to]) break;
+      }
+    });
+
+  return squares;
+}
+
+// Return a copy of board after a chess.js verbose move (promotion, en passant and castling included)
+function applyMoveToBoard(board, move) {
+  const b = { ...board };
+  const piece = b[move.from];
+  delete b[move.from];
+  b[move.to] = move.promotion ? { type: move.promotion, color: piece.color } : piece;
+
+  if (move.flags.includes("e")) delete b[`${move.to[0]}${move.from[1]}`];
+
+  // The rook jumps next to the king: h -> f or a -> d
+  if (move.flags.includes("k") || move.flags.includes("q")) {
+    const rank = move.from[1];
+    const [rookFrom, rookTo] = move.flags.includes("k") ? ["h", "f"] : ["a", "d"];
+    b[`${rookTo}${rank}`] = b[`${rookFrom}${rank}`];
+    delete b[`${rookFrom}${rank}`];
+  }
+
+  return b;
+}
+
+// Squares of the pieces of the given color (kings left out) that the other side attacks and none of their own defend
+function hangingSquares(board, color) {
+  const them = color === "w" ? "b" : "w";
+
+  return Object.keys(board).filter((square) => {
+    const piece = board[square];
+    if (piece.color !== color || piece.type === "k") return false;
+    return squareAttackers(board, square, them).length > 0 && squareAttackers(board, square, color).length === 0;
+  });
+}
+
+// Squares of the pieces of the given color that are absolutely pinned: they stand alone between
+// their king and an enemy rook, bishop or queen sliding that way
+function pinnedSquares(board, color) {
+  const kingSquare = Object.keys(board).find((sq) => board[sq].type === "k" && board[sq].color === color);
+  if (!kingSquare) return [];
+
+  const [file, rank] = squareCoords(kingSquare);
+  const pinned = [];
+
+  [...ROOK_DIRECTIONS, ...BISHOP_DIRECTIONS].forEach((direction) => {
+    const [df, dr] = direction;
+    let shield = null;
+    for (let step = 1; ; step++) {
+      const sq = boardSquare(file + df * step, rank + dr * step);
+      if (!sq) break;
+
+      const piece = board[sq];
+      if (!piece) continue;
+
+      if (!shield && piece.color === color) {
+        shield = sq;
+        continue;
+      }
+      if (shield && piece.color !== color && slidesAlong(piece.type, direction)) pinned.push(shield);
+      break;
+    }
+  });
+
+  return pinned;
+}
+
+// Piece values for exchanges; the king's is high so that no side ever gives it up
+const EXCHANGE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 100 };
+
+// Static exchange evaluation of the capture from -> to: the material the capturing side wins
+// (negative if it loses) when both sides keep recapturing on that square with their least
+// valuable piece, and either may stop when going on would lose more.  Pins are ignored.
+// options: { promotion: "q" } for a capturing promotion, { enPassant: true } for e.p.
+function staticExchange(board, from, to, options = {}) {
+  const b = { ...board };
+  const attacker = b[from];
+  const gains = [];
+
+  if (options.enPassant) {
+    const [file] = squareCoords(to);
+    const [, rank] = squareCoords(from);
+    delete b[boardSquare(file, rank)];
+    gains.push(EXCHANGE_VALUES.p);
+  } else {
+    gains.push(EXCHANGE_VALUES[b[to].type]);
+  }
+
+  let onSquare = attacker;
+  if (options.promotion) {
+    onSquare = { type: options.promotion, color: attacker.color };
+    gains[0] += EXCHANGE_VALUES[options.promotion] - EXCHANGE_VALUES.p;
+  }
+  delete b[from];
+  b[to] = onSquare;
+
+  // Removing each capturer lets the pieces behind it (x-rays) join in
+  let side = attacker.color === "w" ? "b" : "w";
+  for (;;) {
+    const attackers = squareAttackers(b, to, side);
+    if (attackers.length === 0) break;
+
+    const next = attackers.reduce((least, a) => (EXCHANGE_VALUES[a.type] < EXCHANGE_VALUES[least.type] ? a : least));
+    gains.push(EXCHANGE_VALUES[b[to].type] - gains[gains.length - 1]);
+
+    delete b[next.square];
+    b[to] = { type: next.type, color: next.color };
+    side = side === "w" ? "b" : "w";
+  }
+
+  // Each side only recaptures when it does better than stopping
+  for (let i = gains.length - 1; i > 0; i--) gains[i - 1] = -Math.max(-gains[i - 1], gains[i]);
+  return gains[0];
+}
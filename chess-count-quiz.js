@@ -4,101 +4,481 @@
 let chess_data = null; // See loadSettings for value of chess_data
 let gameEnded = false;
 let timerInterval = null;
+let flashTimeout = null;
 
 // -----------------------------------------------------------
 // Chess functions
 
 // Return the number of possible checking moves
 function countChecks(game) {
-  const moves = game.moves({ verbose: true });
+  const moves = legalMoves(game);
 
-  const checkingMoves = moves.filter((m) => {
-    const tempGame = new Chess(game.fen());
-    tempGame.move(m);
-    return tempGame.in_check();
-  });
+  // chess.js already marks checking moves with + or # in their SAN
+  const checkingMoves = moves.filter((m) => /[+#]$/.test(m.san));
 
   return {
     count: checkingMoves.length,
-    moves: checkingMoves.map((m) => m.san),
-    targets: checkingMoves.map((m) => ({ to: m.to, piece: m.piece })),
+    moves: checkingMoves.map(moveLabel),
+    targets: moveTargets(checkingMoves),
+    pieces: checkingMoves.map((m) => m.piece),
+  };
+}
+
+// Return the number of checkmating moves
+function countMates(game) {
+  const matingMoves = legalMoves(game).filter((m) => m.san.endsWith("#"));
+
+  return {
+    count: matingMoves.length,
+    moves: matingMoves.map(moveLabel),
+    targets: moveTargets(matingMoves),
+    pieces: matingMoves.map((m) => m.piece),
+  };
+}
+
+// Return the number of moves that stalemate the opponent
+function countStalemates(game) {
+  // Played on a copy, so the caller's game and the cached moves stay as they are
+  const temp = new Chess(game.fen());
+  const stalematingMoves = legalMoves(game).filter((m) => {
+    temp.move({ from: m.from, to: m.to, promotion: m.promotion });
+    const stalemate = temp.in_stalemate();
+    temp.undo();
+    return stalemate;
+  });
+
+  return {
+    count: stalematingMoves.length,
+    moves: stalematingMoves.map(moveLabel),
+    targets: moveTargets(stalematingMoves),
+    pieces: stalematingMoves.map((m) => m.piece),
   };
 }
 
 // Return the number of possible capturing moves
 function countCaptures(game) {
-  const moves = game.moves({ verbose: true });
+  const moves = legalMoves(game);
   const capturingMoves = moves.filter((m) => m.flags.includes("c") || m.flags.includes("e"));
 
   return {
     count: capturingMoves.length,
-    moves: capturingMoves.map((m) => m.san),
-    targets: capturingMoves.map((m) => ({ to: m.to, piece: m.piece })),
+    moves: capturingMoves.map(moveLabel),
+    targets: moveTargets(capturingMoves),
+    pieces: capturingMoves.map((m) => m.piece),
+    see: captureExchanges(game, capturingMoves),
   };
 }
 
+// Return the number of captures that win material or break even by static exchange evaluation
+function countGoodCaptures(game) {
+  const capturingMoves = legalMoves(game).filter((m) => m.flags.includes("c") || m.flags.includes("e"));
+  const see = captureExchanges(game, capturingMoves);
+  const goodMoves = capturingMoves.filter((m, i) => see[i] >= 0);
+
+  return {
+    count: goodMoves.length,
+    moves: goodMoves.map(moveLabel),
+    targets: moveTargets(goodMoves),
+    pieces: goodMoves.map((m) => m.piece),
+    see: see.filter((value) => value >= 0),
+  };
+}
+
+// Return the number of moves after which the moved piece attacks an enemy piece (king aside)
+// that is worth more than it or undefended
+function countThreats(game) {
+  const board = parseFenBoard(game.fen());
+  const threats = legalMoves(game)
+    .map((m) => ({ m, targets: threatenedPieces(board, m).filter((target) => target.type !== "k") }))
+    .filter(({ targets }) => targets.length > 0);
+
+  return describeTargetMoves(threats);
+}
+
+// Return the number of moves after which the moved piece attacks two or more targets:
+// the enemy king, or pieces worth more than it or undefended
+function countForks(game) {
+  const board = parseFenBoard(game.fen());
+  const forks = legalMoves(game)
+    .map((m) => ({ m, targets: threatenedPieces(board, m) }))
+    .filter(({ targets }) => targets.length >= 2);
+
+  return describeTargetMoves(forks);
+}
+
+// Enemy pieces the piece moved by m attacks afterwards that are its king, worth more than it, or undefended.
+// Discovered attacks by other pieces aren't looked at.
+function threatenedPieces(board, m) {
+  const after = applyMoveToBoard(board, m);
+  const mover = after[m.to];
+  const enemy = mover.color === "w" ? "b" : "w";
+
+  return pieceAttacks(after, m.to)
+    .filter((square) => after[square] && after[square].color === enemy)
+    .filter((square) => {
+      const { type } = after[square];
+      if (type === "k" || EXCHANGE_VALUES[type] > EXCHANGE_VALUES[mover.type]) return true;
+      return squareAttackers(after, square, enemy).length === 0;
+    })
+    .map((square) => ({ square, ...after[square] }));
+}
+
+// Answer for moves found with their targets: [{ m, targets }]
+function describeTargetMoves(found) {
+  const moves = found.map(({ m }) => m);
+
+  return {
+    count: moves.length,
+    moves: moves.map(moveLabel),
+    targets: moveTargets(moves),
+    pieces: moves.map((m) => m.piece),
+    notes: found.map(({ targets }) => `→ ${targets.map((t) => `${t.type.toUpperCase()}${t.square}`).join(", ")}`),
+  };
+}
+
+// Static exchange result of each capture, in pawns
+function captureExchanges(game, capturingMoves) {
+  const board = parseFenBoard(game.fen());
+  return capturingMoves.map((m) =>
+    staticExchange(board, m.from, m.to, { promotion: m.promotion, enPassant: m.flags.includes("e") })
+  );
+}
+
+// "+3", "−6" or "=" for a static exchange result
+function formatExchange(value) {
+  if (value > 0) return `+${value}`;
+  if (value < 0) return `−${-value}`;
+  return "=";
+}
+
 // Return the total number of moves
 function countAllLegal(game) {
-  const moves = game.moves({ verbose: true });
+  const moves = legalMoves(game);
 
   return {
     count: moves.length,
-    moves: moves.map((m) => m.san),
-    targets: moves.map((m) => ({ to: m.to, piece: m.piece })),
+    moves: moves.map(moveLabel),
+    targets: moveTargets(moves),
+    pieces: moves.map((m) => m.piece),
+    illegal: illegalMoves(game),
+  };
+}
+
+// Return the number of pieces of the side to move that are absolutely pinned to their king
+function countPins(game) {
+  const board = parseFenBoard(game.fen());
+  const squares = pinnedSquares(board, game.turn());
+
+  return {
+    count: squares.length,
+    moves: squares.map((square) => `${board[square].type.toUpperCase()}${square}`),
+    targets: squares.map((square) => ({ to: square, piece: board[square].type })),
+    pieces: squares.map((square) => board[square].type),
+    illegal: illegalMoves(game),
+  };
+}
+
+// Pseudo-legal moves that chess.js rejects, each with why: [{ ...move, reason }].
+// reason is "into check" for king moves, "pinned", or "in check" for moves that don't answer a check.
+function illegalMoves(game) {
+  const legal = new Set(legalMoves(game).map((m) => m.from + m.to + (m.promotion || "")));
+  const pinned = pinnedSquares(parseFenBoard(game.fen()), game.turn());
+
+  return game
+    .moves({ verbose: true, legal: false })
+    .filter((m) => !legal.has(m.from + m.to + (m.promotion || "")))
+    .map((m) => {
+      let reason = "in check";
+      if (m.piece === "k") reason = "into check";
+      else if (pinned.includes(m.from) || !game.in_check()) reason = "pinned";
+      return { ...m, reason };
+    });
+}
+
+// Return the number of pieces of the side to move (king aside) that are attacked and undefended
+function countHanging(game) {
+  const board = parseFenBoard(game.fen());
+  const squares = hangingSquares(board, game.turn());
+
+  return {
+    count: squares.length,
+    moves: squares.map((square) => `${board[square].type.toUpperCase()}${square}`),
+    targets: squares.map((square) => ({ to: square, piece: board[square].type })),
+    pieces: squares.map((square) => board[square].type),
   };
 }
 
-// Return a game where it's the specified player to move ('w' or 'b') from the given FEN
+// Return the pieces of the side to move that attack square (x-rays behind batteries included when asked)
+function countAttackers(game, square, xray) {
+  if (!square) return { count: 0, moves: [], targets: [], pieces: [] };
+
+  const board = parseFenBoard(game.fen());
+  const attackers = squareAttackers(board, square, game.turn(), xray);
+  const direct = squareAttackers(board, square, game.turn()).map((attacker) => attacker.square);
+
+  return {
+    count: attackers.length,
+    moves: attackers.map(
+      (a) => `${a.type.toUpperCase()}${a.square}${direct.includes(a.square) ? "" : " (x-ray)"}`
+    ),
+    targets: attackers.map((a) => ({ to: a.square, piece: a.type })),
+    pieces: attackers.map((a) => a.type),
+  };
+}
+
+// Pick the square for the attackers questions: preferably a piece (not a king) that both sides
+// attack, then any square both sides attack, then any attacked square
+function pickMarkedSquare(fen) {
+  const board = parseFenBoard(fen);
+  const squares = [];
+  for (let rank = 0; rank < 8; rank++) {
+    for (let file = 0; file < 8; file++) squares.push(boardSquare(file, rank));
+  }
+
+  const attackedBy = (square, color) => squareAttackers(board, square, color).length > 0;
+  const contested = squares.filter((square) => attackedBy(square, "w") && attackedBy(square, "b"));
+  const occupied = contested.filter((square) => board[square] && board[square].type !== "k");
+  const attacked = squares.filter((square) => attackedBy(square, "w") || attackedBy(square, "b"));
+
+  const choices = [occupied, contested, attacked].find((list) => list.length > 0) || squares;
+  return choices[Math.floor(random() * choices.length)];
+}
+
+function asksAttackers() {
+  return chess_data.questionTypes.some((questionType) => questionType.endsWith("Attackers"));
+}
+
+// Verbose legal moves for a game.  Every question type needs them, so the last few are cached by FEN.
+function legalMoves(game) {
+  if (!legalMoves._cache) legalMoves._cache = new Map();
+
+  const fen = game.fen();
+  if (!legalMoves._cache.has(fen)) {
+    if (legalMoves._cache.size >= 8) legalMoves._cache.clear();
+    legalMoves._cache.set(fen, game.moves({ verbose: true }));
+  }
+  return legalMoves._cache.get(fen);
+}
+
+// SAN for the moves list, with en passant spelled out ("exd6 e.p.")
+function moveLabel(m) {
+  return m.flags.includes("e") ? `${m.san} e.p.` : m.san;
+}
+
+// Highlight targets for verbose moves.  Castling marks both the king and the rook destination.
+function moveTargets(moves) {
+  return moves.flatMap((m) => {
+    const targets = [{ to: m.to, piece: m.piece }];
+    if (m.flags.includes("k")) targets.push({ to: `f${m.to[1]}`, piece: "r" });
+    if (m.flags.includes("q")) targets.push({ to: `d${m.to[1]}`, piece: "r" });
+    return targets;
+  });
+}
+
+// Return a game where it's the specified player to move ('w' or 'b') from the given FEN.
+// The en passant square only belongs to the side that was really to move, so it is
+// dropped when switching sides, and castling rights are checked against the board.
 function switchFenSides(fen, side) {
   const fenParts = fen.split(" ");
+  if (fenParts[1] !== side && fenParts[3]) fenParts[3] = "-";
   fenParts[1] = side;
+  if (fenParts[2]) fenParts[2] = validCastlingRights(fenParts[0], fenParts[2]);
   return fenParts.join(" ");
 }
 
-// Return array of PGN games
-async function getGames() {
-  const path = "lichess-puzzles/selected_games.pgn";
-  console.log("Loading games from:", path);
-  const response = await fetch(path);
-  const text = await response.text();
-  console.log("Raw PGN text length:", text.length);
+// Keep only the castling rights whose king and rook are still on their home squares.
+// chess.js trusts the FEN and would otherwise generate castling moves without a rook.
+function validCastlingRights(placement, castling) {
+  const rows = placement.split("/").map((row) => row.replace(/\d/g, (n) => ".".repeat(parseInt(n, 10))));
+  const pieceAt = (square) => rows[8 - parseInt(square[1], 10)][square.charCodeAt(0) - 97];
+
+  const homes = {
+    K: ["e1", "K", "h1", "R"],
+    Q: ["e1", "K", "a1", "R"],
+    k: ["e8", "k", "h8", "r"],
+    q: ["e8", "k", "a8", "r"],
+  };
 
-  // Split into potential games (sections separated by blank lines)
-  const sections = text.split("\n\n").filter((section) => section.trim() !== "");
+  const rights = castling
+    .split("")
+    .filter((right) => homes[right] && pieceAt(homes[right][0]) === homes[right][1] && pieceAt(homes[right][2]) === homes[right][3])
+    .join("");
+  return rights || "-";
+}
 
-  // Combine header and moves sections into complete games
-  const games = [];
-  let currentGame = "";
+// Return the Lichess games.  They are only downloaded and parsed the first time.
+function getGames() {
+  if (!getGames._promise) {
+    getGames._promise = fetchGames().catch((error) => {
+      getGames._promise = null;
+      throw error;
+    });
+  }
+  return getGames._promise;
+}
 
-  for (const section of sections) {
-    if (section.startsWith("[")) {
-      if (currentGame) games.push(currentGame.trim());
-      currentGame = section;
-    } else {
-      currentGame += "\n\n" + section;
+async function fetchGames() {
+  const path = "lichess-puzzles/selected_games.pgn";
+  console.log("Loading games from:", path);
+  try {
+    let text = "";
+    for await (const chunk of (await fetchStream(path, "Loading games")).pipeThrough(new TextDecoderStream())) {
+      text += chunk;
     }
+    console.log("Raw PGN text length:", text.length);
+    return readPgnGames(text, path).games;
+  } finally {
+    hideLoadProgress();
   }
+}
 
-  if (currentGame) games.push(currentGame.trim());
+// Parse PGN text, logging every problem with its line number
+function readPgnGames(text, source) {
+  const { games, errors } = parsePgn(text);
+  errors.forEach((err) => console.log(`${source}: ${formatPgnError(err)}`));
 
   console.log("Number of games found:", games.length);
   if (games.length <= 0) console.log("Error with PGN file");
+  return { games, errors };
+}
+
+// Return array of PGN games from the file the user uploaded, or null if there is none
+async function getUserGames() {
+  const stored = await idbGet("userPgn");
+  if (!stored) {
+    setPgnFileStatus("No PGN file uploaded yet.");
+    return null;
+  }
+
+  const { games, errors } = readPgnGames(stored.text, stored.name);
+  setPgnFileStatus(describePgnFile(stored.name, games, errors));
   return games;
 }
 
-// Load the game weights file and return parsed weights
-async function getWeights() {
-  const path = "lichess-puzzles/selected_weights.json";
+// Return the position index made by the notebook in the calcGameStats format, or null if it can't be read.
+// It is only downloaded the first time.
+function getPositionIndex() {
+  if (!getPositionIndex._promise) {
+    getPositionIndex._promise = fetchPositionIndex().then((rows) => {
+      if (!rows) getPositionIndex._promise = null;
+      return rows;
+    });
+  }
+  return getPositionIndex._promise;
+}
+
+// The index is gzipped NDJSON, one line per position:
+// [game, ply, fen, white_moves, white_checks, white_captures, black_moves, black_checks, black_captures]
+async function fetchPositionIndex() {
+  const path = "lichess-puzzles/selected_index.ndjson.gz";
   try {
-    const response = await fetch(path);
-    if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
-    const weights = await response.json();
-    console.log(`Loaded ${weights.length} weight rows`);
-    return weights;
+    const stream = (await fetchStream(path, "Loading positions")).pipeThrough(new DecompressionStream("gzip"));
+    const rows = [];
+    for await (const line of streamLines(stream)) {
+      if (line.trim() !== "") rows.push(indexRowToStats(JSON.parse(line)));
+    }
+    console.log(`Loaded ${rows.length} indexed positions`);
+    return rows;
   } catch (error) {
-    console.error("Failed to load game stats:", error);
+    console.error("Failed to load position index:", error);
     return null;
+  } finally {
+    hideLoadProgress();
+  }
+}
+
+function indexRowToStats([game, ply, fen, wMoves, wChecks, wCaptures, bMoves, bChecks, bCaptures]) {
+  return {
+    game,
+    ply,
+    fen,
+    stats: {
+      white_moves: wMoves,
+      white_checks: wChecks,
+      white_captures: wCaptures,
+      black_moves: bMoves,
+      black_checks: bChecks,
+      black_captures: bCaptures,
+      // Only positions without these made it into the index
+      in_check: false,
+      castling_rights: false,
+      en_passant_rights: false,
+    },
+  };
+}
+
+// Fetch a file as a byte stream, showing the download progress under the board
+async function fetchStream(path, label) {
+  const response = await fetch(path);
+  if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+
+  // With HTTP compression this is the compressed size, so the count can run past it
+  const total = parseInt(response.headers.get("Content-Length"), 10) || 0;
+  let loaded = 0;
+  setLoadProgress(label, loaded, total);
+
+  return response.body.pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        loaded += chunk.length;
+        setLoadProgress(label, loaded, total);
+        controller.enqueue(chunk);
+      },
+    })
+  );
+}
+
+// Yield the lines of a byte stream as they arrive
+async function* streamLines(stream) {
+  const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+  let pending = "";
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    const lines = (pending + value).split("\n");
+    pending = lines.pop();
+    yield* lines;
   }
+
+  if (pending !== "") yield pending;
+}
+
+function setLoadProgress(label, loaded, total) {
+  const container = document.getElementById("loadProgress");
+  const bar = document.getElementById("loadProgressBar");
+  const text = document.getElementById("loadProgressLabel");
+  if (!container || !bar || !text) return;
+
+  container.hidden = false;
+  const kb = (bytes) => Math.round(bytes / 1024);
+  if (total > 0) {
+    bar.max = total;
+    bar.value = Math.min(loaded, total);
+    text.textContent = `${label}: ${kb(Math.min(loaded, total))} / ${kb(total)} kB`;
+  } else {
+    // Unknown size: indeterminate bar
+    bar.removeAttribute("value");
+    text.textContent = `${label}: ${kb(loaded)} kB`;
+  }
+}
+
+function hideLoadProgress() {
+  const container = document.getElementById("loadProgress");
+  if (container) container.hidden = true;
+}
+
+// Map game -> Map ply -> FEN, for starting replays close to the wanted ply
+function buildFenLookup(gameStats) {
+  const lookup = new Map();
+
+  gameStats.forEach(({ game, ply, fen }) => {
+    if (!lookup.has(game)) lookup.set(game, new Map());
+    lookup.get(game).set(ply, fen);
+  });
+
+  return lookup;
 }
 
 function getRandomPosNumber(game_weights, white) {
@@ -107,7 +487,7 @@ function getRandomPosNumber(game_weights, white) {
   if (filtered.length === 0) throw new Error("No entries available for the specified color.");
 
   const totalWeight = filtered.reduce((sum, entry) => sum + entry.weight, 0);
-  let threshold = Math.random() * totalWeight;
+  let threshold = random() * totalWeight;
 
   for (let i = 0; i < filtered.length; i++) {
     threshold -= filtered[i].weight;
@@ -121,21 +501,914 @@ function getRandomPosNumber(game_weights, white) {
   return { game: filtered[0].game, ply: filtered[0].ply };
 }
 
-// Return a game object with the given index
+// Load games, weights and positions for the selected position source
+async function loadPositionSource() {
+  chess_data.games = null;
+  chess_data.game_weights = null;
+
+  let gameStats = null;
+
+  if (chess_data.positionSource === "upload") {
+    const games = await getUserGames();
+    if (games && games.length > 0) {
+      chess_data.games = games;
+      gameStats = await calcGameStats(games, chess_data.includeSpecialMoves);
+      chess_data.game_weights = calcGameWeights(gameStats, chess_data.weightFormula, chess_data.includeSpecialMoves);
+    }
+
+    if (!chess_data.game_weights || chess_data.game_weights.length === 0) {
+      console.log("No usable positions in the uploaded PGN, falling back to Lichess games");
+      chess_data.games = null;
+    }
+  }
+
+  if (!chess_data.games) {
+    chess_data.games = await getGames();
+
+    // The shipped index leaves out positions with castling or en passant rights
+    if (!chess_data.includeSpecialMoves) gameStats = await getPositionIndex();
+    if (!gameStats) {
+      // Replaying every game is slow, so it is only done once
+      const key = chess_data.includeSpecialMoves ? "special" : "plain";
+      if (!loadPositionSource._lichessStats) loadPositionSource._lichessStats = {};
+      if (!loadPositionSource._lichessStats[key]) {
+        loadPositionSource._lichessStats[key] = await calcGameStats(chess_data.games, chess_data.includeSpecialMoves);
+      }
+      gameStats = loadPositionSource._lichessStats[key];
+    }
+    chess_data.game_weights = calcGameWeights(gameStats, chess_data.weightFormula, chess_data.includeSpecialMoves);
+  }
+
+  chess_data.fen_lookup = buildFenLookup(gameStats);
+  chess_data.filtered_weights = filterGameWeights(
+    chess_data.game_weights,
+    chess_data.games,
+    chess_data.filters,
+    chess_data.fen_lookup
+  );
+  const gameFiltersIgnored = chess_data.filtered_weights.length === 0;
+  if (gameFiltersIgnored) {
+    console.log("No game positions match the filters, ignoring them");
+    chess_data.filtered_weights = chess_data.game_weights;
+  }
+  const gameMatches = gameFiltersIgnored ? 0 : chess_data.filtered_weights.length;
+
+  // Even plies have White to move: a side with no matching position keeps all of its own
+  const sidesIgnored = [];
+  [
+    ["White", 0],
+    ["Black", 1],
+  ].forEach(([side, parity]) => {
+    if (chess_data.filtered_weights.some((entry) => entry.ply % 2 === parity)) return;
+    const unfiltered = chess_data.game_weights.filter((entry) => entry.ply % 2 === parity);
+    if (unfiltered.length === 0) return;
+
+    console.log(`No game positions with ${side} to move match the filters, ignoring them for ${side}`);
+    sidesIgnored.push(side);
+    chess_data.filtered_weights = chess_data.filtered_weights.concat(unfiltered);
+  });
+
+  let positions = await getPositions();
+  const matching = positions.filter((fen) => positionMatchesFilters(fen, chess_data.filters));
+  const positionFiltersIgnored = matching.length === 0 && positions.length > 0;
+  if (positionFiltersIgnored) console.log("No set positions match the filters, ignoring them");
+  else positions = matching;
+
+  chess_data.positions = positions;
+  chess_data.position_weights = positions.map((fen) =>
+    calcPositionInterest(getPlyStats(fen, true), chess_data.weightFormula)
+  );
+
+  // Puzzle files can be large, so they are only read when they are used
+  chess_data.puzzles = null;
+  setSourceNote("");
+  let puzzleFiltersIgnored = false;
+  if (chess_data.positionSource === "puzzles") {
+    const puzzles = await getUserPuzzles();
+    if (puzzles && puzzles.length > 0) {
+      chess_data.puzzles = filterPuzzles(puzzles, chess_data.filters);
+      puzzleFiltersIgnored = chess_data.puzzles.length === 0;
+      if (puzzleFiltersIgnored) {
+        console.log("No puzzles match the filters, ignoring them");
+        chess_data.puzzles = puzzles;
+      }
+    } else {
+      console.log("No puzzles uploaded, falling back to Lichess games");
+      setSourceNote("No puzzles uploaded, showing Lichess games instead.");
+    }
+  }
+
+  if (usesPuzzles()) {
+    setFilterStatus(
+      puzzleFiltersIgnored
+        ? `No puzzle matches the filters, so they are ignored (${chess_data.puzzles.length} puzzles)`
+        : `${chess_data.puzzles.length} puzzles match the filters`
+    );
+  } else if (chess_data.positionSource === "positions") {
+    setFilterStatus(
+      positionFiltersIgnored
+        ? `No position in the set matches the filters, so they are ignored (${chess_data.positions.length} positions)`
+        : `${chess_data.positions.length} positions in the set match the filters`
+    );
+  } else if (gameFiltersIgnored) {
+    setFilterStatus(
+      `No game position matches the filters, so they are ignored (${chess_data.game_weights.length} positions)`
+    );
+  } else {
+    let text = `${gameMatches} of ${chess_data.game_weights.length} game positions match the filters`;
+    if (sidesIgnored.length > 0) text += `, none with ${sidesIgnored[0]} to move, so they are ignored for ${sidesIgnored[0]}`;
+    setFilterStatus(text);
+  }
+}
+
+// Whether puzzles are selected and there are some to play
+function usesPuzzles() {
+  return chess_data.positionSource === "puzzles" && Array.isArray(chess_data.puzzles) && chess_data.puzzles.length > 0;
+}
+
+// Return array of FEN strings for the position set source
+async function getPositions() {
+  const custom = customFenText();
+  if (custom !== "") return parseFenList(custom);
+
+  const path = "positions.fen";
+  try {
+    const response = await fetch(path);
+    if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
+    const positions = parseFenList(await response.text());
+    console.log(`Loaded ${positions.length} positions`);
+    return positions;
+  } catch (error) {
+    console.error("Failed to load positions:", error);
+    return [];
+  }
+}
+
+// The user's own FEN list, or "" for the shipped set.  Seeded runs always use the shipped set, as their links do.
+function customFenText() {
+  if (chess_data.seed !== null) return "";
+  return (localStorage.getItem("customFens") || "").trim();
+}
+
+// One FEN per line; blank lines and lines starting with # are ignored
+function parseFenList(text) {
+  const validator = new Chess();
+  const positions = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const fen = line.trim();
+    if (fen === "" || fen.startsWith("#")) return;
+
+    const result = validator.validate_fen(fen);
+    if (result.valid) positions.push(switchFenSides(fen, fen.split(" ")[1]));
+    else console.log(`Skipping invalid FEN on line ${i + 1}: ${result.error}`);
+  });
+
+  return positions;
+}
+
+// Pick the next FEN from the position set with the given side ('w' or 'b') to move
+function getNextPosition(positions, side, weights) {
+  if (!Array.isArray(positions) || positions.length === 0) throw new Error("Position set is empty.");
+
+  // Every position of the set is used, with the sides switched where the other side is to move
+  const eligible = positions.map((fen, i) => ({ fen: switchFenSides(fen, side), weight: weights?.[i] ?? 1 }));
+
+  let index;
+  if (chess_data.positionOrder === "sequential") {
+    index = chess_data.positionIndex % eligible.length;
+    chess_data.positionIndex = index + 1;
+  } else {
+    index = pickWeightedIndex(eligible.map((entry) => entry.weight));
+  }
+
+  console.log(`Selected: position ${index + 1}/${eligible.length}, weight=${eligible[index].weight}`);
+  return eligible[index].fen;
+}
+
+// Return a random index with probability proportional to its weight (uniform if all weights are 0)
+function pickWeightedIndex(weights, rand = random) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) return Math.floor(rand() * weights.length);
+
+  let threshold = rand() * totalWeight;
+  for (let i = 0; i < weights.length; i++) {
+    threshold -= weights[i];
+    if (threshold < 0) return i;
+  }
+  return weights.length - 1;
+}
+
+// -----------------------------------------------------------
+// Lichess puzzle CSV (PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags)
+//
+// FEN is the position before the opponent's move that sets up the puzzle, and
+// Moves starts with that move, followed by the solution, all in UCI.
+
+// Return { puzzles, errors } with puzzles as { id, fen, moves, rating, themes }
+function parsePuzzleCsv(text) {
+  const puzzles = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (line.trim() === "" || line.startsWith("PuzzleId")) return;
+
+    const fields = line.split(",");
+    if (fields.length < 8) {
+      errors.push({ line: i + 1, message: `Expected at least 8 fields, found ${fields.length}` });
+      return;
+    }
+
+    const [id, fen, moves, rating, , , , themes] = fields;
+    const uciMoves = moves.trim().split(/\s+/);
+    if (uciMoves.length < 2 || !uciMoves.every((uci) => /^[a-h][1-8][a-h][1-8][qrbn]?$/.test(uci))) {
+      errors.push({ line: i + 1, message: `Invalid moves "${moves}"` });
+      return;
+    }
+
+    puzzles.push({
+      id,
+      fen,
+      moves: uciMoves,
+      rating: parseInt(rating, 10),
+      themes: themes.trim().split(/\s+/).filter((theme) => theme !== ""),
+    });
+  });
+
+  return { puzzles, errors };
+}
+
+// Return the puzzles from the CSV file the user uploaded, or null if there is none
+async function getUserPuzzles() {
+  const stored = await idbGet("userPuzzles");
+  if (!stored) {
+    setPuzzleFileStatus("No puzzle CSV uploaded yet.");
+    return null;
+  }
+
+  const { puzzles, errors } = parsePuzzleCsv(stored.text);
+  errors.forEach((err) => console.log(`${stored.name}: ${formatPgnError(err)}`));
+  setPuzzleFileStatus(describePuzzleFile(stored.name, puzzles, errors));
+  return puzzles;
+}
+
+// The side that solves the puzzle: the one not to move in the CSV's FEN
+function puzzleSolverSide(puzzle) {
+  return puzzle.fen.split(" ")[1] === "w" ? "b" : "w";
+}
+
+// Keep the puzzles that have one of the wanted themes, are in the rating band and pass the board filters
+function filterPuzzles(puzzles, filters) {
+  const themes = filters.themes
+    .split(/[\s,]+/)
+    .map((theme) => theme.trim().toLowerCase())
+    .filter((theme) => theme !== "");
+
+  return puzzles.filter((puzzle) => {
+    if (themes.length > 0 && !puzzle.themes.some((theme) => themes.includes(theme.toLowerCase()))) return false;
+    if (filters.minElo !== null && !(puzzle.rating >= filters.minElo)) return false;
+    if (filters.maxElo !== null && !(puzzle.rating <= filters.maxElo)) return false;
+    return positionMatchesFilters(puzzle.fen, filters);
+  });
+}
+
+// Puzzles with a broken FEN or setup move are skipped, up to this many times in a row
+const MAX_PUZZLE_TRIES = 50;
+
+// Chess.js move object for a UCI move such as "e7e8q"
+function uciToMove(uci) {
+  return { from: uci.slice(0, 2), to: uci.slice(2, 4), promotion: uci[4] };
+}
+
+// Pick the next puzzle solved by the given side ('w' or 'b').
+// Returns { id, fen, solution } with fen the puzzle position and solution the first solution move in SAN.
+function getNextPuzzle(puzzles, side) {
+  if (!Array.isArray(puzzles) || puzzles.length === 0) throw new Error("No puzzles loaded.");
+
+  // Prefer puzzles solved by that side, otherwise switch sides and drop the solution
+  let eligible = puzzles.filter((puzzle) => puzzleSolverSide(puzzle) === side);
+  const switched = eligible.length === 0;
+  if (switched) eligible = puzzles;
+
+  for (let tries = 0; tries < MAX_PUZZLE_TRIES; tries++) {
+    let index;
+    if (chess_data.positionOrder === "sequential") {
+      index = chess_data.positionIndex % eligible.length;
+      chess_data.positionIndex = index + 1;
+    } else {
+      index = Math.floor(random() * eligible.length);
+    }
+
+    const puzzle = eligible[index];
+    const game = new Chess();
+    if (!game.load(puzzle.fen) || !game.move(uciToMove(puzzle.moves[0]))) {
+      console.log(`Skipping puzzle ${puzzle.id}: invalid FEN or setup move`);
+      continue;
+    }
+
+    console.log(`Selected: puzzle ${puzzle.id}, rating=${puzzle.rating}, themes=${puzzle.themes.join(" ")}`);
+    if (switched) return { id: puzzle.id, fen: switchFenSides(game.fen(), side), solution: null };
+
+    const solution = game.move(uciToMove(puzzle.moves[1]));
+    game.undo();
+    return { id: puzzle.id, fen: game.fen(), solution: solution ? solution.san : null };
+  }
+
+  throw new Error("No valid puzzles found.");
+}
+
+// Pick the next puzzle, or return null when none of them is usable: the puzzles are then
+// dropped and the positions come from the Lichess games until the settings are saved again
+function pickPuzzle() {
+  const drawPuzzle = () => getNextPuzzle(chess_data.puzzles, chess_data.playerToMove);
+  try {
+    return chess_data.positionOrder === "sequential" ? drawPuzzle() : pickAdaptive(drawPuzzle, puzzleCountedFen);
+  } catch (error) {
+    console.error("Failed to pick a puzzle:", error);
+    chess_data.puzzles = null;
+    setSourceNote(`${error.message} Showing Lichess games instead.`);
+    return null;
+  }
+}
+
+// The position whose counts are asked for a puzzle from getNextPuzzle
+function puzzleCountedFen(puzzle) {
+  if (!chess_data.puzzleSolutionAhead || !puzzle.solution) return puzzle.fen;
+
+  const game = new Chess(puzzle.fen);
+  game.move(puzzle.solution);
+  return game.fen();
+}
+
+// Note under the board when the positions don't come from the chosen source
+function setSourceNote(text) {
+  const noteEl = document.getElementById("sourceNote");
+  if (noteEl) noteEl.textContent = text;
+}
+
+function setPuzzleFileStatus(text) {
+  const statusEl = document.getElementById("puzzleFileStatus");
+  if (statusEl) statusEl.textContent = text;
+}
+
+// Status line for a puzzle CSV: puzzle count and the first problem found, if any
+function describePuzzleFile(name, puzzles, errors) {
+  let text = `${name}: ${puzzles.length} puzzles`;
+  if (errors.length > 0) text += `, ${errors.length} problem(s) (first: ${formatPgnError(errors[0])})`;
+  return text;
+}
+
+// -----------------------------------------------------------
+// Adaptive selection
+//
+// The first answer to each question is recorded per position and per feature, a feature
+// being a question type ("p1Captures") or a question type and the piece making the moves
+// ("p2Checks:n" = the opponent's knight checks).  In adaptive mode a few candidates are
+// drawn the usual way and one is kept, favouring the features the player misses and a
+// difficulty (the total of the counts asked) that matches their recent accuracy.
+
+const ADAPTIVE_CANDIDATES = 6;
+// Older results fade, so the selection follows the player's progress
+const ADAPTIVE_DECAY = 0.95;
+const ADAPTIVE_ACCURACY_RATE = 0.1;
+// Moves per feature beyond this don't make a candidate more likely
+const ADAPTIVE_FEATURE_CAP = 3;
+const ADAPTIVE_MAX_POSITIONS = 500;
+const PIECE_NAMES = { p: "pawn", n: "knight", b: "bishop", r: "rook", q: "queen", k: "king" };
+
+function emptyPerformance() {
+  return { accuracy: 0.5, features: {}, positions: {} };
+}
+
+function loadPerformance() {
+  const stored = localStorage.getItem("performance");
+  return stored ? { ...emptyPerformance(), ...JSON.parse(stored) } : emptyPerformance();
+}
+
+function savePerformance() {
+  localStorage.setItem("performance", JSON.stringify(chess_data.performance));
+}
+
+// Positions are told apart by placement, side to move, castling and en passant
+function positionKey(fen) {
+  return fen.split(" ").slice(0, 4).join(" ");
+}
+
+// Return { feature: move count } for one correct answer
+function answerFeatures(questionType, answer) {
+  const features = { [questionType]: answer.count };
+  (answer.pieces || []).forEach((piece) => {
+    const feature = `${questionType}:${piece}`;
+    features[feature] = (features[feature] || 0) + 1;
+  });
+  return features;
+}
+
+// Record the first answer given to one question of a position
+function recordAnswer(fen, questionType, answer, given) {
+  const perf = chess_data.performance;
+  const missed = given !== answer.count;
+
+  Object.keys(answerFeatures(questionType, answer)).forEach((feature) => {
+    const record = perf.features[feature] || { seen: 0, missed: 0 };
+    perf.features[feature] = {
+      seen: record.seen * ADAPTIVE_DECAY + 1,
+      missed: record.missed * ADAPTIVE_DECAY + (missed ? 1 : 0),
+    };
+  });
+
+  perf.accuracy += ADAPTIVE_ACCURACY_RATE * ((missed ? 0 : 1) - perf.accuracy);
+
+  // Re-inserting keeps the most recent positions last, so the oldest are dropped first
+  const key = positionKey(fen);
+  const position = perf.positions[key] || { tries: 0, misses: 0 };
+  delete perf.positions[key];
+  perf.positions[key] = { tries: position.tries + 1, misses: position.misses + (missed ? 1 : 0) };
+
+  const keys = Object.keys(perf.positions);
+  keys.slice(0, keys.length - ADAPTIVE_MAX_POSITIONS).forEach((old) => delete perf.positions[old]);
+}
+
+function featureMissRate(feature) {
+  const record = chess_data.performance.features[feature];
+  return record ? record.missed / (record.seen + 1) : 0;
+}
+
+// How much a position exercises what the player gets wrong (1 = nothing known)
+function positionWeakness(fen, answers) {
+  let weakness = 1;
+
+  Object.entries(answers).forEach(([questionType, answer]) => {
+    Object.entries(answerFeatures(questionType, answer)).forEach(([feature, count]) => {
+      weakness += featureMissRate(feature) * Math.min(count, ADAPTIVE_FEATURE_CAP);
+    });
+  });
+
+  const position = chess_data.performance.positions[positionKey(fen)];
+  if (position) weakness += position.misses;
+
+  return weakness;
+}
+
+// Draw candidates with draw() and keep one as described at the top of this section.
+// fenOf(candidate) is the position whose counts are asked.  Sets chess_data.markedSquare when
+// attackers are asked.
+function pickAdaptive(draw, fenOf) {
+  if (!chess_data.adaptiveMode) return draw();
+
+  const candidates = Array.from({ length: ADAPTIVE_CANDIDATES }, draw);
+  const fens = candidates.map(fenOf);
+  // The attackers questions are about each candidate's own marked square, kept for the one picked
+  const squares = fens.map((fen) => (asksAttackers() ? pickMarkedSquare(fen) : null));
+  const answers = fens.map((fen, i) => {
+    chess_data.markedSquare = squares[i];
+    return getCorrectAnswers(fen, chess_data.questionTypes);
+  });
+  const difficulty = answers.map((byType) => Object.values(byType).reduce((sum, answer) => sum + answer.count, 0));
+
+  const weights = candidates.map((candidate, i) => {
+    // 0 = easiest candidate, 1 = hardest; the better the accuracy, the harder the target
+    const easier = difficulty.filter((d) => d < difficulty[i]).length;
+    const equal = difficulty.filter((d) => d === difficulty[i]).length - 1;
+    const rank = (easier + equal / 2) / (candidates.length - 1);
+    const fit = 1 / (1 + 4 * Math.abs(rank - chess_data.performance.accuracy));
+
+    return positionWeakness(fens[i], answers[i]) * fit;
+  });
+
+  const index = pickWeightedIndex(weights);
+  chess_data.markedSquare = squares[index];
+  console.log(`Adaptive: kept candidate ${index + 1}/${candidates.length}, difficulty=${difficulty[index]}, weight=${weights[index].toFixed(2)}`);
+  return candidates[index];
+}
+
+// "opponent's knight checks" for "p2Checks:n"
+function describeFeature(feature) {
+  const [questionType, piece] = feature.split(":");
+  const who = questionType.startsWith("p1") ? "your" : "opponent's";
+
+  let what = "moves";
+  if (questionType.endsWith("Checks")) what = "checks";
+  if (questionType.endsWith("Captures")) what = "captures";
+  if (questionType.endsWith("GoodCaptures")) what = "good captures";
+  if (questionType.endsWith("Threats")) what = "threats";
+  if (questionType.endsWith("Forks")) what = "forks";
+  if (questionType.endsWith("Mates")) what = "checkmates";
+  if (questionType.endsWith("Stalemates")) what = "stalemating moves";
+  if (questionType.endsWith("Hanging")) what = "hanging pieces";
+  if (questionType.endsWith("Pins")) what = "pinned pieces";
+  if (questionType.endsWith("Attackers")) what = "attackers of a square";
+
+  if (piece && questionType.endsWith("Hanging")) return `${who} hanging ${PIECE_NAMES[piece]}s`;
+  if (piece && questionType.endsWith("Pins")) return `${who} pinned ${PIECE_NAMES[piece]}s`;
+  return piece ? `${who} ${PIECE_NAMES[piece]} ${what}` : `${who} ${what}`;
+}
+
+// Status line: recent accuracy and the most missed features
+function setAdaptiveStatus() {
+  const statusEl = document.getElementById("adaptiveStatus");
+  if (!statusEl) return;
+
+  const perf = chess_data.performance;
+  const features = Object.keys(perf.features);
+  if (features.length === 0) {
+    statusEl.textContent = "No answers recorded yet.";
+    return;
+  }
+
+  const worst = features
+    .filter((feature) => featureMissRate(feature) > 0)
+    .sort((a, b) => featureMissRate(b) - featureMissRate(a))
+    .slice(0, 3)
+    .map((feature) => `${describeFeature(feature)} (${Math.round(featureMissRate(feature) * 100)}%)`);
+
+  let text = `Recent accuracy ${Math.round(perf.accuracy * 100)}%.`;
+  if (worst.length > 0) text += ` Most missed: ${worst.join(", ")}.`;
+  statusEl.textContent = text;
+}
+
+// -----------------------------------------------------------
+// Review queue
+//
+// Missed positions become cards in an SM-2 style queue kept in localStorage.  A card keeps
+// the position as shown (FEN and the moves to visualize), so it comes back the same whatever
+// the position source is by then, along with the wrong answers.  It is asked with the current
+// question types, not the ones of the first time.
+// Cards only come back when the player is playing the same side, since the questions depend on it.
+
+const REVIEW_MAX_CARDS = 500;
+// In mixed mode, share of the positions that are due reviews (when any are due)
+const REVIEW_MIX_SHARE = 0.3;
+const REVIEW_START_EASINESS = 2.5;
+const REVIEW_MIN_EASINESS = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function loadReviewQueue() {
+  const stored = localStorage.getItem("reviewQueue");
+  return stored ? JSON.parse(stored) : [];
+}
+
+function saveReviewQueue() {
+  localStorage.setItem("reviewQueue", JSON.stringify(chess_data.reviewQueue));
+}
+
+// A card per position and side the questions were asked for
+function reviewCardKey(fen, playerToMove) {
+  return `${positionKey(fen)} ${playerToMove}`;
+}
+
+function dueReviewCards() {
+  const now = Date.now();
+  return chess_data.reviewQueue.filter((card) => card.due <= now && card.playerToMove === chess_data.playerToMove);
+}
+
+// Return the card to show instead of a fresh position, or null
+function nextReviewCard() {
+  if (chess_data.reviewMode === "off" || chess_data.linkedPosition || chess_data.daily) return null;
+
+  const due = dueReviewCards();
+  if (due.length === 0) return null;
+  if (chess_data.reviewMode === "mixed" && random() >= REVIEW_MIX_SHARE) return null;
+
+  return due.reduce((oldest, card) => (card.due < oldest.due ? card : oldest));
+}
+
+// Set up the position of a card the way loadNewPuzzle sets up a fresh one
+function loadReviewCard(card) {
+  chess_data.game_index = card.game;
+  chess_data.ply = card.ply;
+  chess_data.puzzle_id = card.puzzle_id;
+  chess_data.shownFen = card.shownFen;
+
+  chess_data.game = new Chess(card.shownFen);
+  showPosition(card.shownFen);
+
+  card.aheadMoves.forEach((san) => chess_data.game.move(san, { sloppy: true }));
+  chess_data.aheadMoves = card.aheadMoves;
+  chess_data.fen = chess_data.game.fen();
+
+  console.log(`Review: ${card.key}, repetition ${card.repetitions}, interval ${card.interval} day(s)`);
+}
+
+// SM-2 quality (0-5) of the first answers to a position: wrongAnswers is { questionType: given }
+function reviewQuality(wrongAnswers, revealed) {
+  const wrong = Object.entries(wrongAnswers);
+  if (revealed) return 0;
+  if (wrong.length === 0) return 5;
+
+  // Only off by one everywhere: close, but still wrong
+  const close = wrong.every(([questionType, given]) => given !== null && Math.abs(given - chess_data.correct[questionType].count) === 1);
+  return close ? 2 : 1;
+}
+
+// Apply one SM-2 repetition with the given quality
+function scheduleReviewCard(card, quality) {
+  if (quality >= 3) {
+    if (card.repetitions === 0) card.interval = 1;
+    else if (card.repetitions === 1) card.interval = 6;
+    else card.interval = Math.round(card.interval * card.easiness);
+    card.repetitions += 1;
+  } else {
+    card.repetitions = 0;
+    card.interval = 1;
+  }
+
+  card.easiness = Math.max(
+    REVIEW_MIN_EASINESS,
+    card.easiness + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)
+  );
+  card.due = Date.now() + card.interval * DAY_MS;
+}
+
+// Grade the card of the current position, or add one if the position was missed
+function updateReviewQueue(wrongAnswers) {
+  const quality = reviewQuality(wrongAnswers, chess_data.revealed);
+  const key = reviewCardKey(chess_data.fen, chess_data.playerToMove);
+  let card = chess_data.reviewQueue.find((entry) => entry.key === key);
+
+  if (!card) {
+    if (quality >= 3) return;
+
+    card = {
+      key,
+      source: chess_data.positionSource,
+      game: chess_data.game_index,
+      ply: chess_data.ply,
+      puzzle_id: chess_data.puzzle_id,
+      shownFen: chess_data.shownFen,
+      aheadMoves: chess_data.aheadMoves,
+      playerToMove: chess_data.playerToMove,
+      repetitions: 0,
+      interval: 0,
+      easiness: REVIEW_START_EASINESS,
+      due: 0,
+    };
+    chess_data.reviewQueue.push(card);
+  }
+
+  if (quality < 3) card.wrongAnswers = wrongAnswers;
+  scheduleReviewCard(card, quality);
+
+  // Drop the cards that are furthest from coming back
+  if (chess_data.reviewQueue.length > REVIEW_MAX_CARDS) {
+    chess_data.reviewQueue.sort((a, b) => a.due - b.due);
+    chess_data.reviewQueue.length = REVIEW_MAX_CARDS;
+  }
+  saveReviewQueue();
+}
+
+// Note above the inputs: whether this is a review and what was answered last time
+function setReviewNote(card, noneDue) {
+  const noteEl = document.getElementById("reviewNote");
+  if (!noteEl) return;
+
+  if (card) {
+    const last = Object.entries(card.wrongAnswers || {})
+      .map(([questionType, given]) => `${createDynamicInputsLabel(questionType).replace("\n", " ")} ${given}`)
+      .join(", ");
+    noteEl.textContent = last ? `Review. Last time you answered ${last}` : "Review";
+  } else {
+    noteEl.textContent = noneDue ? "No reviews due, showing new positions." : "";
+  }
+}
+
+function setReviewStatus() {
+  const statusEl = document.getElementById("reviewStatus");
+  if (!statusEl) return;
+
+  const now = Date.now();
+  const due = chess_data.reviewQueue.filter((card) => card.due <= now).length;
+  statusEl.textContent = `${chess_data.reviewQueue.length} positions in the review queue, ${due} due now.`;
+}
+
+// -----------------------------------------------------------
+// Position filters
+
+const DEFAULT_FILTERS = {
+  eco: "",
+  minElo: null,
+  maxElo: null,
+  minPly: null,
+  maxPly: null,
+  phase: "",
+  minPieces: null,
+  themes: "",
+};
+
+// Endgame once the pieces other than pawns and kings are worth at most this much (both sides together)
+const ENDGAME_MATERIAL = 26;
+const PIECE_VALUES = { p: 1, n: 3, b: 3, r: 5, q: 9, k: 0 };
+
+// Check the header based filters: ECO prefixes ("B", "C42", comma separated) and rating band
+function gameMatchesFilters(pgnGame, filters) {
+  const ecoPrefixes = filters.eco
+    .split(",")
+    .map((prefix) => prefix.trim().toUpperCase())
+    .filter((prefix) => prefix !== "");
+  if (ecoPrefixes.length > 0) {
+    const eco = (pgnGame.headers.ECO || "").toUpperCase();
+    if (!ecoPrefixes.some((prefix) => eco.startsWith(prefix))) return false;
+  }
+
+  if (filters.minElo !== null || filters.maxElo !== null) {
+    // Both players have to be in the band, like the notebook's rating filter
+    const ratings = [pgnGame.headers.WhiteElo, pgnGame.headers.BlackElo].map((elo) => parseInt(elo, 10));
+    if (ratings.some((elo) => isNaN(elo))) return false;
+    if (filters.minElo !== null && ratings.some((elo) => elo < filters.minElo)) return false;
+    if (filters.maxElo !== null && ratings.some((elo) => elo > filters.maxElo)) return false;
+  }
+
+  return true;
+}
+
+// Number of pieces on the board (kings and pawns included) in a FEN
+function countFenPieces(fen) {
+  return (fen.split(" ")[0].match(/[pnbrqk]/gi) || []).length;
+}
+
+// "endgame" or "middlegame", by the material left other than pawns and kings
+function getPositionPhase(fen) {
+  const material = (fen.split(" ")[0].match(/[nbrq]/gi) || []).reduce(
+    (sum, piece) => sum + PIECE_VALUES[piece.toLowerCase()],
+    0
+  );
+  return material <= ENDGAME_MATERIAL ? "endgame" : "middlegame";
+}
+
+// Check the filters that need the board itself (phase and piece count)
+function positionMatchesFilters(fen, filters) {
+  if (filters.phase && getPositionPhase(fen) !== filters.phase) return false;
+  if (filters.minPieces !== null && countFenPieces(fen) < filters.minPieces) return false;
+  return true;
+}
+
+// Return the weight rows that pass every filter, using the indexed FEN of each position
+function filterGameWeights(game_weights, games, filters, fenLookup) {
+  const gameOk = games.map((pgnGame) => gameMatchesFilters(pgnGame, filters));
+
+  return game_weights.filter((entry) => {
+    if (!gameOk[entry.game]) return false;
+    if (filters.minPly !== null && entry.ply < filters.minPly) return false;
+    if (filters.maxPly !== null && entry.ply > filters.maxPly) return false;
+
+    const fen = fenLookup.get(entry.game)?.get(entry.ply);
+    return !fen || positionMatchesFilters(fen, filters);
+  });
+}
+
+function setFilterStatus(text) {
+  const statusEl = document.getElementById("filterStatus");
+  if (statusEl) statusEl.textContent = text;
+}
+
+// Read a number input, null when it is empty or not a number
+function readOptionalNumber(id) {
+  const el = document.getElementById(id);
+  const value = el ? parseInt(el.value, 10) : NaN;
+  return isNaN(value) ? null : value;
+}
+
+// -----------------------------------------------------------
+// Position weighting (port of calc_ply_weight in lichess-puzzles/filter_database.ipynb)
+
+const DEFAULT_WEIGHT_FORMULA = { checks: 1, captures: 1, exponent: 0.5 };
+const WEIGHT_START_PLY = 20;
+const WEIGHT_END_PLY = 100;
+
+// Return { moves, checks, captures } for the side to move in the given game
+function moveCounts(game) {
+  const moves = game.moves({ verbose: true });
+
+  return {
+    moves: moves.length,
+    checks: moves.filter((m) => /[+#]$/.test(m.san)).length,
+    captures: moves.filter((m) => m.flags.includes("c") || m.flags.includes("e")).length,
+  };
+}
+
+// Return the same stats as the notebook's PlyStats for the given FEN.
+// Counts are left at 0 for positions calcPlyWeight skips anyway: those in check, and
+// those with castling or en passant rights unless includeSpecial is set.
+function getPlyStats(fen, includeSpecial = false) {
+  const [, , castling, enPassant] = fen.split(" ");
+  const stats = {
+    white_moves: 0,
+    white_checks: 0,
+    white_captures: 0,
+    black_moves: 0,
+    black_checks: 0,
+    black_captures: 0,
+    in_check: new Chess(fen).in_check(),
+    castling_rights: castling !== "-",
+    en_passant_rights: enPassant !== "-",
+  };
+
+  if (stats.in_check || (!includeSpecial && (stats.castling_rights || stats.en_passant_rights))) return stats;
+
+  const white = moveCounts(new Chess(switchFenSides(fen, "w")));
+  const black = moveCounts(new Chess(switchFenSides(fen, "b")));
+  stats.white_moves = white.moves;
+  stats.white_checks = white.checks;
+  stats.white_captures = white.captures;
+  stats.black_moves = black.moves;
+  stats.black_checks = black.checks;
+  stats.black_captures = black.captures;
+  return stats;
+}
+
+// How interesting a position is: (1 + checks * a + captures * b) ^ exponent
+function calcPositionInterest(stats, formula) {
+  const checks = stats.white_checks + stats.black_checks;
+  const captures = stats.white_captures + stats.black_captures;
+  return Math.pow(1 + formula.checks * checks + formula.captures * captures, formula.exponent);
+}
+
+// Weight is proportional to probability.  Positions with a side in check are never
+// picked, nor are those with castling or en passant rights unless includeSpecial is set.
+function calcPlyWeight(stats, formula, includeSpecial = false) {
+  if (stats.in_check) return 0;
+  if (!includeSpecial && (stats.castling_rights || stats.en_passant_rights)) return 0;
+  return calcPositionInterest(stats, formula);
+}
+
+// Return [{ game, ply, fen, stats }] for every game, letting the page repaint between games
+async function calcGameStats(games, includeSpecial = false) {
+  const result = [];
+
+  for (let gameIndex = 0; gameIndex < games.length; gameIndex++) {
+    const pgnGame = games[gameIndex];
+    const game = new Chess(pgnStartFen(pgnGame));
+
+    for (let ply = 1; ply <= Math.min(pgnGame.moves.length, WEIGHT_END_PLY); ply++) {
+      if (!playPgnMove(game, pgnGame, ply - 1, gameIndex)) break;
+      if (ply < WEIGHT_START_PLY) continue;
+
+      const fen = game.fen();
+      result.push({ game: gameIndex, ply, fen, stats: getPlyStats(fen, includeSpecial) });
+    }
+
+    if (gameIndex % 10 === 0) {
+      setWeightingStatus(`Weighting positions: game ${gameIndex + 1}/${games.length}`);
+      await new Promise((resolve) => setTimeout(resolve, 0));
+    }
+  }
+
+  setWeightingStatus("");
+  return result;
+}
+
+// Return weight rows [{ game, ply, weight }] for the positions that can be picked
+function calcGameWeights(gameStats, formula, includeSpecial = false) {
+  const weights = [];
+
+  gameStats.forEach(({ game, ply, stats }) => {
+    const weight = calcPlyWeight(stats, formula, includeSpecial);
+    if (weight > 0) weights.push({ game, ply, weight });
+  });
+
+  console.log(`Calculated ${weights.length} weight rows`);
+  return weights;
+}
+
+function setWeightingStatus(text) {
+  const statusEl = document.getElementById("weightingStatus");
+  if (statusEl) statusEl.textContent = text;
+}
+
+// Play move number move_index of a parsed PGN game, logging where it fails if it is illegal
+function playPgnMove(game, pgnGame, move_index, game_index) {
+  const move = pgnGame.moves[move_index];
+  if (game.move(move.san, { sloppy: true })) return true;
+
+  console.error(`Illegal move ${move.san} in game ${game_index} (line ${move.line})`);
+  return false;
+}
+
+// Return a game object with the given index, replayed from the closest indexed position before ply
 function getGame(game_index, ply) {
-  const game = new Chess();
-  const pgn = chess_data.games[game_index];
-  console.log("PGN length:", pgn.length);
+  const pgnGame = chess_data.games[game_index];
 
-  const parsedGame = game.load_pgn(pgn);
-  if (!parsedGame) {
-    console.log("Error parsing PGN");
+  if (ply > pgnGame.moves.length) {
+    console.error(`Game ${game_index} (line ${pgnGame.line}) has no ply ${ply}`);
     return null;
   }
 
-  const moves = game.history();
-  game.reset();
-  for (let i = 0; i < ply; i++) game.move(moves[i]);
+  let startPly = 0;
+  let startFen = pgnStartFen(pgnGame);
+  const indexed = chess_data.fen_lookup?.get(game_index);
+  if (indexed) {
+    for (const [indexedPly, fen] of indexed) {
+      if (indexedPly <= ply && indexedPly > startPly) {
+        startPly = indexedPly;
+        startFen = fen;
+      }
+    }
+  }
+
+  const game = new Chess(startFen);
+  for (let i = startPly; i < ply; i++) {
+    if (!playPgnMove(game, pgnGame, i, game_index)) return null;
+  }
   return game;
 }
 
@@ -163,10 +1436,320 @@ function getOneCorrectAnswer(fen, questionType) {
   game.load(modFen);
 
   if (questionType.endsWith("Checks")) return countChecks(game);
+  if (questionType.endsWith("Mates")) return countMates(game);
+  if (questionType.endsWith("Stalemates")) return countStalemates(game);
+  if (questionType.endsWith("GoodCaptures")) return countGoodCaptures(game);
   if (questionType.endsWith("Captures")) return countCaptures(game);
   if (questionType.endsWith("AllLegal")) return countAllLegal(game);
+  if (questionType.endsWith("Threats")) return countThreats(game);
+  if (questionType.endsWith("Forks")) return countForks(game);
+  if (questionType.endsWith("Hanging")) return countHanging(game);
+  if (questionType.endsWith("Pins")) return countPins(game);
+  if (questionType.endsWith("Attackers")) return countAttackers(game, chess_data.markedSquare, chess_data.countXrays);
+
+  throw new RangeError(
+    "Expected Checks, Mates, Stalemates, Captures, GoodCaptures, Threats, Forks, AllLegal, Hanging, Pins or Attackers"
+  );
+}
+
+// -----------------------------------------------------------
+// Per-piece breakdown answers
+
+const BREAKDOWN_PIECES = ["p", "n", "b", "r", "q", "k"];
+
+// Return { p: 2, n: 0, ... } from an answer's pieces
+function pieceCounts(pieces) {
+  const counts = Object.fromEntries(BREAKDOWN_PIECES.map((piece) => [piece, 0]));
+  pieces.forEach((piece) => counts[piece]++);
+  return counts;
+}
+
+// The entered per-piece counts for a question, empty inputs counting as 0
+function breakdownValues(questionType) {
+  return Object.fromEntries(
+    BREAKDOWN_PIECES.map((piece) => {
+      const input = document.getElementById(`${questionType}_${piece}`);
+      return [piece, parseInt(input?.value || "0", 10) || 0];
+    })
+  );
+}
+
+function sumOfValues(counts) {
+  return Object.values(counts).reduce((acc, cur) => acc + cur, 0);
+}
+
+// Piece types whose entered count differs from the answer
+function miscountedPieces(values, correct) {
+  const counts = pieceCounts(correct.pieces);
+  return BREAKDOWN_PIECES.filter((piece) => values[piece] !== counts[piece]);
+}
+
+function markMiscountedPieces(questionType, miscounted) {
+  BREAKDOWN_PIECES.forEach((piece) => {
+    const cell = document.getElementById(`${questionType}_${piece}Cell`);
+    if (cell) cell.classList.toggle("miscounted", miscounted.includes(piece));
+  });
+
+  const feedbackIcon = document.getElementById(questionType + "FeedbackIcon");
+  if (feedbackIcon) {
+    const names = miscounted.map((piece) => PIECE_NAMES[piece]).join(", ");
+    feedbackIcon.title = names ? `Miscounted: ${names}` : "";
+  }
+}
+
+function resetBreakdownInputs(questionType) {
+  BREAKDOWN_PIECES.forEach((piece) => {
+    const input = document.getElementById(`${questionType}_${piece}`);
+    if (input) input.value = 0;
+
+    const cell = document.getElementById(`${questionType}_${piece}Cell`);
+    if (cell) {
+      cell.classList.remove("miscounted");
+      cell.title = "";
+      delete cell.dataset.answer;
+    }
+  });
+
+  const feedbackIcon = document.getElementById(questionType + "FeedbackIcon");
+  if (feedbackIcon) feedbackIcon.title = "";
+}
+
+// On reveal, each piece cell shows its correct count
+function showBreakdownAnswers(questionType, correct) {
+  const counts = pieceCounts(correct.pieces);
+  BREAKDOWN_PIECES.forEach((piece) => {
+    const cell = document.getElementById(`${questionType}_${piece}Cell`);
+    if (!cell) return;
+    cell.title = `${counts[piece]} ${PIECE_NAMES[piece]}`;
+    cell.dataset.answer = counts[piece];
+  });
+}
+
+// -----------------------------------------------------------
+// Enumerate modes: instead of typing a count, the moves are found on the board
+// (answerMode "board": drag, or click from then to) or typed in SAN (answerMode "san").
+// chess_data.found is { questionType: [move labels] }.
+
+const ENUMERATED_KINDS = ["AllLegal", "Checks", "Mates", "Stalemates", "Captures", "GoodCaptures", "Threats", "Forks"];
+
+// The answer mode for the current position.  With moves ahead the board shows an earlier
+// position than the one asked about, and blindfold "none" hides it, so board answers fall
+// back to typing counts.
+function effectiveAnswerMode() {
+  if (chess_data.answerMode !== "board") return chess_data.answerMode;
+  return chess_data.aheadMoves.length > 0 || chess_data.blindfold === "none" ? "count" : "board";
+}
+
+// Whether the question is answered by finding its moves (piece lists like Hanging keep their count)
+function isEnumerated(questionType) {
+  return effectiveAnswerMode() !== "count" && ENUMERATED_KINDS.some((kind) => questionType.endsWith(kind));
+}
+
+function questionColor(questionType) {
+  const p2Color = chess_data.playerToMove === "w" ? "b" : "w";
+  return questionType.startsWith("p1") ? chess_data.playerToMove : p2Color;
+}
+
+function foundMoves(questionType) {
+  if (!chess_data.found[questionType]) chess_data.found[questionType] = [];
+  return chess_data.found[questionType];
+}
+
+function onEnumerateDragStart() {
+  return effectiveAnswerMode() === "board";
+}
+
+// A piece dropped back on its own square is a click on it
+function onEnumerateDrop(source, target) {
+  if (target === "offboard") return "snapback";
+
+  if (source === target) selectEnumerateSquare(source);
+  else {
+    clearEnumerateSelection();
+    tryEnumerateMove(source, target);
+  }
+  return "snapback";
+}
+
+// Clicks on empty squares; squares with a piece start a drag instead (see onEnumerateDrop)
+function setupEnumerateClicks() {
+  const boardEl = document.getElementById("board");
+  if (!boardEl) return;
+
+  boardEl.addEventListener("click", (event) => {
+    if (effectiveAnswerMode() !== "board") return;
 
-  throw new RangeError("Expected Checks or Captures or AllLegal");
+    const squareEl = event.target.closest("[data-square]");
+    if (!squareEl) return;
+
+    const square = squareEl.getAttribute("data-square");
+    if (chess_data.board.position()[square]) return;
+    selectEnumerateSquare(square);
+  });
+}
+
+// First click picks the piece, the second one the square it goes to
+function selectEnumerateSquare(square) {
+  const board = parseFenBoard(chess_data.fen);
+  const from = chess_data.enumerateFrom;
+
+  // Another piece of the same side replaces the selection
+  if (!from || (board[square] && board[from] && board[square].color === board[from].color && square !== from)) {
+    clearEnumerateSelection();
+    if (!board[square]) return setEnumerateStatus(`No piece on ${square}`, false);
+
+    chess_data.enumerateFrom = square;
+    const squareEl = document.querySelector(`#board [data-square="${square}"]`);
+    if (squareEl) squareEl.classList.add("hl-selected");
+    return;
+  }
+
+  clearEnumerateSelection();
+  if (square !== from) tryEnumerateMove(from, square);
+}
+
+function clearEnumerateSelection() {
+  chess_data.enumerateFrom = null;
+  document.querySelectorAll("#board .hl-selected").forEach((el) => el.classList.remove("hl-selected"));
+}
+
+// Check the move from -> to against the asked questions of the moving side and count it where it belongs
+function tryEnumerateMove(from, to) {
+  const piece = parseFenBoard(chess_data.fen)[from];
+  if (!piece) return setEnumerateStatus(`No piece on ${from}`, false);
+
+  // Several candidates only for promotions: the first one some question asks for wins
+  const game = new Chess(switchFenSides(chess_data.fen, piece.color));
+  const candidates = legalMoves(game).filter((m) => m.from === from && m.to === to);
+  if (candidates.length === 0) return setEnumerateStatus(`${from}-${to} is not legal`, false);
+
+  const questionTypes = getFixedDisplayQuestionTypes().filter(
+    (id) => isEnumerated(id) && chess_data.correct?.[id] && questionColor(id) === piece.color
+  );
+  acceptEnumeratedMove(candidates, questionTypes);
+}
+
+// Count the first of the candidate moves that some of the questions ask for.
+// Return true when counted, false when none is asked, null when already found.
+function acceptEnumeratedMove(candidates, questionTypes) {
+  let label = moveLabel(candidates[0]);
+  let matched = [];
+  for (const m of candidates) {
+    const hits = questionTypes.filter((id) => chess_data.correct[id].moves.includes(moveLabel(m)));
+    if (hits.length > 0) {
+      label = moveLabel(m);
+      matched = hits;
+      break;
+    }
+  }
+  if (matched.length === 0) {
+    setEnumerateStatus(`${label} is not one of the moves asked`, false);
+    return false;
+  }
+
+  const fresh = matched.filter((id) => !foundMoves(id).includes(label));
+  if (fresh.length === 0) {
+    setEnumerateStatus(`${label} was already found`, null);
+    return null;
+  }
+
+  fresh.forEach((id) => {
+    foundMoves(id).push(label);
+    updateEnumerateProgress(id);
+  });
+  setEnumerateStatus(`${label} ✓`, true);
+  return true;
+}
+
+// SAN as compared in typing mode: no check, capture or promotion signs, "0-0" for "O-O" and
+// lowercase piece letters accepted (except b, which is a file)
+function normalizeSan(san) {
+  return san
+    .replace(/e\.p\./g, "")
+    .replace(/[+#x=!?\s]/g, "")
+    .replace(/0/g, "O")
+    .replace(/^[nrqk]/, (letter) => letter.toUpperCase())
+    .replace(/([a-h][18])([nbrq])$/, (match, square, piece) => square + piece.toUpperCase());
+}
+
+// One typed move for a question: each move found scores a point, each legal move
+// that isn't in the category costs time like a wrong count
+function submitTypedMove(questionType, text) {
+  // Once the answers are shown, moves found no longer score
+  if (chess_data.revealed) return setEnumerateStatus("The answers are shown already", null);
+
+  const typed = normalizeSan(text);
+  if (!typed || !chess_data.correct?.[questionType]) return;
+
+  const game = new Chess(switchFenSides(chess_data.fen, questionColor(questionType)));
+  const candidates = legalMoves(game).filter((m) => normalizeSan(m.san) === typed);
+  if (candidates.length === 0) return setEnumerateStatus(`${text} is not a legal move`, false);
+
+  const accepted = acceptEnumeratedMove(candidates, [questionType]);
+  if (accepted === true) incrementScore();
+  if (accepted === false) penalizeTime();
+}
+
+// Autocomplete: the legal moves of the question's side
+function fillSanOptions(questionType) {
+  const list = document.getElementById(`${questionType}SanOptions`);
+  if (!list) return;
+
+  const game = new Chess(switchFenSides(chess_data.fen, questionColor(questionType)));
+  list.innerHTML = "";
+  legalMoves(game).forEach((m) => {
+    const option = document.createElement("option");
+    option.value = m.san;
+    list.appendChild(option);
+  });
+}
+
+// The count input follows the number of moves found
+function updateEnumerateProgress(questionType) {
+  const found = foundMoves(questionType);
+  const correct = chess_data.correct[questionType];
+
+  const input = document.getElementById(questionType);
+  if (input) input.value = found.length;
+
+  const progress = document.getElementById(`${questionType}Found`);
+  if (progress) {
+    const left = correct.count - found.length;
+    progress.textContent = `Found ${found.length}${found.length > 0 ? ` (${found.join(", ")})` : ""}, ${left} left`;
+  }
+}
+
+function resetEnumerate() {
+  chess_data.found = {};
+  clearEnumerateSelection();
+  if (effectiveAnswerMode() === chess_data.answerMode) setEnumerateStatus("", null);
+  else if (chess_data.blindfold === "none") setEnumerateStatus("No board to find the moves on: type the counts", null);
+  else setEnumerateStatus("The board shows the position before the moves ahead: type the counts", null);
+
+  getFixedDisplayQuestionTypes()
+    .filter((id) => isEnumerated(id) && chess_data.correct?.[id])
+    .forEach((id) => {
+      updateEnumerateProgress(id);
+      fillSanOptions(id);
+    });
+}
+
+// ok: true for an accepted move, false for a rejected one, null for neither
+function setEnumerateStatus(text, ok) {
+  const statusEl = document.getElementById("enumerateStatus");
+  if (!statusEl) return;
+
+  statusEl.textContent = text;
+  statusEl.className = ok === true ? "correct" : ok === false ? "incorrect" : "";
+}
+
+// The moves of a question that weren't found (verbose, for highlighting)
+function missedMoves(questionType) {
+  const correct = chess_data.correct[questionType];
+  const found = foundMoves(questionType);
+  const game = new Chess(switchFenSides(chess_data.fen, questionColor(questionType)));
+
+  return legalMoves(game).filter((m) => correct.moves.includes(moveLabel(m)) && !found.includes(moveLabel(m)));
 }
 
 // -----------------------------------------------------------
@@ -181,8 +1764,9 @@ function updateTimerDisplay() {
   timerEl.textContent = `Time: ${minutes.toString().padStart(2, "0")}:${seconds.toString().padStart(2, "0")}`;
 }
 
+// Answers given from memory in flash mode count several times
 function incrementScore() {
-  chess_data.score++;
+  chess_data.score += flashMultiplier();
   const scoreEl = document.getElementById("score");
   if (scoreEl) scoreEl.textContent = `Score: ${chess_data.score}`;
 }
@@ -210,6 +1794,11 @@ function initTimer() {
   }, 1000);
 }
 
+// The time is up: stop flash mode's countdown so that it doesn't blank the board afterwards
+function endGame() {
+  endFlash();
+}
+
 function startTimer() {
   if (chess_data.showTimer) chess_data.timeRemaining = chess_data.defaultTimeRemaining;
   else chess_data.timeRemaining = Infinity;
@@ -224,7 +1813,7 @@ function penalizeTime() {
 }
 
 // -----------------------------------------------------------
-// Display ordering (White then Black, Moves->Checks->Captures)
+// Display ordering (White then Black, each in the order of the kinds below)
 
 function qTypeForAbsColorAndKind(color, kind) {
   const p1Color = chess_data.playerToMove; // side to move
@@ -233,7 +1822,19 @@ function qTypeForAbsColorAndKind(color, kind) {
 }
 
 function getFixedDisplayQuestionTypes() {
-  const kinds = ["AllLegal", "Checks", "Captures"];
+  const kinds = [
+    "AllLegal",
+    "Checks",
+    "Mates",
+    "Stalemates",
+    "Captures",
+    "GoodCaptures",
+    "Threats",
+    "Forks",
+    "Hanging",
+    "Pins",
+    "Attackers",
+  ];
   const out = [];
 
   ["w", "b"].forEach((color) => {
@@ -250,21 +1851,34 @@ function getFixedDisplayQuestionTypes() {
 // Reveal answers (numbers near inputs + moves list in #movesList)
 
 function revealAnswers() {
+  chess_data.revealed = true;
+  endFlash();
+
+  if (chess_data.memoryQuestion) {
+    const feedbackIcon = document.getElementById("memoryFeedbackIcon");
+    if (feedbackIcon) feedbackIcon.textContent = chess_data.memoryQuestion.square;
+  }
+
   const movesList = document.getElementById("movesList");
   if (movesList) {
     movesList.innerHTML = "";
     movesList.style.display = "block";
   }
 
+  const illegalShown = new Set();
   getFixedDisplayQuestionTypes().forEach((id) => {
     const shownMovesLabel = document.getElementById(id + "ShownMoves");
     const correct = chess_data.correct?.[id];
     if (!shownMovesLabel || !correct) return;
 
-    const movesText = Array.isArray(correct.moves) ? correct.moves.join(", ") : "";
+    // Moves can come with a note, e.g. captures with their static exchange result: "Nxe5 +3"
+    const notes = correct.notes || correct.see?.map(formatExchange);
+    const labels = Array.isArray(notes) ? correct.moves.map((move, i) => `${move} ${notes[i]}`) : correct.moves;
+    const movesText = Array.isArray(labels) ? labels.join(", ") : "";
 
     // next to inputs: ONLY the number
     shownMovesLabel.innerHTML = `<span style="font-weight:700; font-size:1.4em;">${correct.count}</span>`;
+    if (chess_data.pieceBreakdown && !isEnumerated(id)) showBreakdownAnswers(id, correct);
 
     // bottom list: label + (moves)
     if (movesList) {
@@ -279,12 +1893,46 @@ function revealAnswers() {
       txt.className = "movesText";
       txt.textContent = movesText ? `(${movesText})` : "";
 
-      row.appendChild(lab);
-      row.appendChild(txt);
+      row.appendChild(lab);
+      row.appendChild(txt);
+
+      if (isEnumerated(id)) {
+        const missed = missedMoves(id).map(moveLabel);
+        const missedRow = document.createElement("div");
+        missedRow.className = "movesMissed";
+        missedRow.textContent = missed.length > 0 ? `Missed: ${missed.join(", ")}` : "All found";
+        row.appendChild(missedRow);
+      }
+
+      // Why the legal move count is lower than it looks, once per side
+      const side = id.slice(0, 2);
+      if (correct.illegal?.length > 0 && !illegalShown.has(side)) {
+        illegalShown.add(side);
+        const illegal = document.createElement("div");
+        illegal.className = "movesIllegal";
+        illegal.textContent = `Illegal: ${correct.illegal.map((m) => `${moveLabel(m)} (${m.reason})`).join(", ")}`;
+        row.appendChild(illegal);
+      }
+
       movesList.appendChild(row);
     }
   });
 
+  // Draw the attackers of the marked square (both sides at once) and, in the enumerate modes,
+  // exactly the moves that weren't found, in a single pass since highlightMovesByPiece clears first
+  const attackers = chess_data.markedSquare
+    ? getFixedDisplayQuestionTypes()
+        .filter((id) => id.endsWith("Attackers"))
+        .flatMap((id) => chess_data.correct[id].targets)
+    : [];
+  const enumerated = getFixedDisplayQuestionTypes().filter((id) => isEnumerated(id) && chess_data.correct?.[id]);
+  const missed = enumerated.flatMap((id) => moveTargets(missedMoves(id)));
+  if (attackers.length > 0 || enumerated.length > 0) {
+    highlightMovesByPiece(attackers.concat(missed), chess_data.playerToMove);
+  }
+
+  highlightIllegalMoves(getFixedDisplayQuestionTypes().flatMap((id) => chess_data.correct?.[id]?.illegal || []));
+
   const showMovesButton = document.getElementById("showMovesButton");
   if (showMovesButton) {
     showMovesButton.disabled = true;
@@ -311,7 +1959,18 @@ function playBuzz() {
 function clearBoardHighlights() {
   const boardEl = document.getElementById("board");
   if (!boardEl) return;
-  boardEl.querySelectorAll(".hl-red").forEach((el) => el.classList.remove("hl-red"));
+  boardEl.querySelectorAll(".hl-red, .hl-illegal").forEach((el) => el.classList.remove("hl-red", "hl-illegal"));
+}
+
+// Outline the destination squares of illegal moves, leaving the other highlights as they are
+function highlightIllegalMoves(moves) {
+  const boardEl = document.getElementById("board");
+  if (!boardEl) return;
+
+  moves.forEach((m) => {
+    const el = boardEl.querySelector(`[data-square="${m.to}"]`) || boardEl.querySelector(`.square-${m.to}`);
+    if (el) el.classList.add("hl-illegal");
+  });
 }
 
 function highlightSquares(squares) {
@@ -452,8 +2111,20 @@ function setupHighlightButtons() {
     "black’s moves": { qType: qTypeForAbsColorAndKind("b", "AllLegal"), side: "b" },
     "white’s checks": { qType: qTypeForAbsColorAndKind("w", "Checks"), side: "w" },
     "black’s checks": { qType: qTypeForAbsColorAndKind("b", "Checks"), side: "b" },
+    "white’s mates": { qType: qTypeForAbsColorAndKind("w", "Mates"), side: "w" },
+    "black’s mates": { qType: qTypeForAbsColorAndKind("b", "Mates"), side: "b" },
+    "white’s stalemates": { qType: qTypeForAbsColorAndKind("w", "Stalemates"), side: "w" },
+    "black’s stalemates": { qType: qTypeForAbsColorAndKind("b", "Stalemates"), side: "b" },
     "white’s captures": { qType: qTypeForAbsColorAndKind("w", "Captures"), side: "w" },
     "black’s captures": { qType: qTypeForAbsColorAndKind("b", "Captures"), side: "b" },
+    "white’s threats": { qType: qTypeForAbsColorAndKind("w", "Threats"), side: "w" },
+    "black’s threats": { qType: qTypeForAbsColorAndKind("b", "Threats"), side: "b" },
+    "white’s forks": { qType: qTypeForAbsColorAndKind("w", "Forks"), side: "w" },
+    "black’s forks": { qType: qTypeForAbsColorAndKind("b", "Forks"), side: "b" },
+    "white’s hanging": { qType: qTypeForAbsColorAndKind("w", "Hanging"), side: "w" },
+    "black’s hanging": { qType: qTypeForAbsColorAndKind("b", "Hanging"), side: "b" },
+    "white’s pins": { qType: qTypeForAbsColorAndKind("w", "Pins"), side: "w" },
+    "black’s pins": { qType: qTypeForAbsColorAndKind("b", "Pins"), side: "b" },
     clear: { clear: true },
   };
 
@@ -475,6 +2146,7 @@ function setupHighlightButtons() {
         clearBoardHighlights();
         clearPieceMarkers();
         clearBigMarkers();
+        if (chess_data.markedSquare) highlightSquares([chess_data.markedSquare]);
         return;
       }
 
@@ -535,14 +2207,12 @@ function updateMovesDisplay() {
   const movesDisplay = document.getElementById("remainingMoves");
   if (!movesDisplay) return;
 
-  if (chess_data.plyAhead === 0) {
+  const movesList = chess_data.aheadMoves || [];
+  if (movesList.length === 0) {
     movesDisplay.innerHTML = "";
     return;
   }
 
-  const fullHistory = chess_data.game.history();
-  const prevPlyIndex = fullHistory.length - chess_data.plyAhead;
-  const movesList = fullHistory.slice(prevPlyIndex);
   const isBlackToMove = chess_data.playerToMove === "b";
   movesDisplay.innerHTML = createMovesTableHtml(movesList, isBlackToMove);
 }
@@ -552,22 +2222,86 @@ function updateMovesDisplay() {
 
 function loadNewPuzzle() {
   clearBoardHighlights();
-
-  const game_and_ply = getRandomPosNumber(chess_data.game_weights, chess_data.playerToMoveAfter === "w");
-  chess_data.game_index = game_and_ply.game;
-  chess_data.ply = game_and_ply.ply;
-
-  chess_data.game = getGame(game_and_ply.game, game_and_ply.ply);
-  chess_data.fen = chess_data.game.fen();
-
-  const prior_game = getGame(game_and_ply.game, Math.max(0, game_and_ply.ply - chess_data.plyAhead));
-  chess_data.board.position(prior_game.fen());
+  clearTimeout(flashTimeout);
+  chess_data.flashHidden = false;
+
+  chess_data.puzzle_id = null;
+  chess_data.revealed = false;
+  chess_data.markedSquare = null;
+
+  chess_data.reviewCard = nextReviewCard();
+  setReviewNote(chess_data.reviewCard, chess_data.reviewMode === "only" && !chess_data.reviewCard);
+
+  let puzzle;
+
+  if (chess_data.daily) {
+    loadDailyPosition();
+  } else if (chess_data.reviewCard) {
+    loadReviewCard(chess_data.reviewCard);
+  } else if (usesPuzzles() && (puzzle = pickPuzzle())) {
+    // The only move ahead a puzzle can show is the first move of its solution
+    chess_data.game_index = null;
+    chess_data.ply = null;
+    chess_data.puzzle_id = puzzle.id;
+
+    chess_data.game = new Chess(puzzle.fen);
+    showPosition(puzzle.fen);
+    chess_data.shownFen = puzzle.fen;
+
+    chess_data.aheadMoves = [];
+    if (chess_data.puzzleSolutionAhead && puzzle.solution) {
+      chess_data.game.move(puzzle.solution);
+      chess_data.aheadMoves = [puzzle.solution];
+    }
+    chess_data.fen = chess_data.game.fen();
+  } else if (chess_data.positionSource === "positions") {
+    // Position sets have no move history, so there are no plies ahead to visualize
+    chess_data.game_index = null;
+    chess_data.ply = null;
+    chess_data.aheadMoves = [];
+
+    const drawPosition = () => getNextPosition(chess_data.positions, chess_data.playerToMove, chess_data.position_weights);
+    chess_data.game = new Chess(
+      chess_data.positionOrder === "sequential" ? drawPosition() : pickAdaptive(drawPosition, (fen) => fen)
+    );
+    chess_data.fen = chess_data.game.fen();
+    chess_data.shownFen = chess_data.fen;
+    showPosition(chess_data.fen);
+  } else {
+    const game_and_ply =
+      takeLinkedPosition() ??
+      pickAdaptive(
+        () => getRandomPosNumber(chess_data.filtered_weights, chess_data.playerToMoveAfter === "w"),
+        ({ game, ply }) => chess_data.fen_lookup.get(game)?.get(ply) ?? getGame(game, ply).fen()
+      );
+    chess_data.game_index = game_and_ply.game;
+    chess_data.ply = game_and_ply.ply;
+
+    const prior_ply = Math.max(0, game_and_ply.ply - chess_data.plyAhead);
+    chess_data.game = getGame(game_and_ply.game, prior_ply);
+    chess_data.shownFen = chess_data.game.fen();
+    showPosition(chess_data.shownFen);
+
+    // Play the moves to visualize on top of the shown position
+    const pgnGame = chess_data.games[game_and_ply.game];
+    for (let i = prior_ply; i < game_and_ply.ply; i++) playPgnMove(chess_data.game, pgnGame, i, game_and_ply.game);
+
+    const history = chess_data.game.history();
+    chess_data.aheadMoves = history.slice(history.length - (game_and_ply.ply - prior_ply));
+    chess_data.fen = chess_data.game.fen();
+  }
 
   ensurePieceMarkers();
   clearPieceMarkers();
   updateMovesDisplay();
 
+  if (asksAttackers()) {
+    if (!chess_data.markedSquare) chess_data.markedSquare = pickMarkedSquare(chess_data.fen);
+    highlightSquares([chess_data.markedSquare]);
+  }
+
   chess_data.correct = getCorrectAnswers(chess_data.fen, chess_data.questionTypes);
+  if (createDynamicInputs._answerMode !== effectiveAnswerMode()) createDynamicInputs(getFixedDisplayQuestionTypes());
 
   // Pre-calc AllLegal for highlight buttons (useful even if not asked)
   [qTypeForAbsColorAndKind("w", "AllLegal"), qTypeForAbsColorAndKind("b", "AllLegal")].forEach((qType) => {
@@ -575,10 +2309,12 @@ function loadNewPuzzle() {
   });
 
   chess_data.is_correct = Object.fromEntries(getFixedDisplayQuestionTypes().map((name) => [name, false]));
+  chess_data.answered = {};
 
   getFixedDisplayQuestionTypes().forEach((id) => {
     const input = document.getElementById(id);
     if (input) input.value = 0;
+    resetBreakdownInputs(id);
 
     const feedbackIcon = document.getElementById(id + "FeedbackIcon");
     if (feedbackIcon) {
@@ -586,90 +2322,759 @@ function loadNewPuzzle() {
       feedbackIcon.className = "feedbackIcon";
     }
 
-    const shownMovesLabel = document.getElementById(id + "ShownMoves");
-    if (shownMovesLabel) shownMovesLabel.textContent = "";
-  });
+    const shownMovesLabel = document.getElementById(id + "ShownMoves");
+    if (shownMovesLabel) shownMovesLabel.textContent = "";
+  });
+  resetEnumerate();
+
+  // Clear movesList (bottom) when new puzzle loads
+  const movesList = document.getElementById("movesList");
+  if (movesList) {
+    movesList.innerHTML = "";
+    movesList.style.display = "none";
+  }
+
+  if (window.innerWidth > 768 && !("ontouchstart" in window || navigator.maxTouchPoints)) {
+    const first = editableCountInputs()[0] || document.querySelector("#count-inputs .san-entry input");
+    if (first) first.focus();
+  }
+
+  const showMovesButton = document.getElementById("showMovesButton");
+  if (showMovesButton) {
+    showMovesButton.disabled = false;
+    showMovesButton.style.backgroundColor = "";
+  }
+
+  setupMemoryQuestion();
+  startFlash();
+
+  const form = document.getElementById("chessCountForm");
+  if (form) form.onsubmit = submitAnswers;
+}
+
+function startNewGame() {
+  if (chess_data.daily) endDailyChallenge();
+
+  gameEnded = false;
+  resetScore();
+
+  // Every run with the same seed gets the same positions (a separate stream from the side pick)
+  chess_data.rng = chess_data.seed !== null ? mulberry32(chess_data.seed + 1) : null;
+
+  loadNewPuzzle();
+  startTimer();
+  initTimer();
+
+ try {
+  if (!playBuzz._ctx) {
+    playBuzz._ctx = new (window.AudioContext || window.webkitAudioContext)();
+
+    fetch("duck.mp3")
+      .then(r => r.arrayBuffer())
+      .then(b => playBuzz._ctx.decodeAudioData(b))
+      .then(buf => { playBuzz._buffer = buf; });
+  }
+} catch (e) {}
+}
+
+// ----------------------------------------------------------
+// Submit answers
+
+function submitAnswers(event) {
+  event.preventDefault();
+
+  const prevTime = chess_data.timeRemaining;
+  const firstSubmit = Object.keys(chess_data.answered).length === 0;
+  const wrongAnswers = {};
+
+  getFixedDisplayQuestionTypes().forEach((id) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+
+    const breakdown = chess_data.pieceBreakdown && !isEnumerated(id) ? breakdownValues(id) : null;
+    const inputValue = breakdown ? sumOfValues(breakdown) : parseInt(input.value, 10);
+    const miscounted = breakdown ? miscountedPieces(breakdown, chess_data.correct[id]) : [];
+    const isCorrect = inputValue === chess_data.correct[id].count && miscounted.length === 0;
+    if (chess_data.daily && !chess_data.answered[id]) {
+      chess_data.daily.marks[chess_data.daily.index].push(!chess_data.revealed && isCorrect);
+    }
+
+    if (!chess_data.answered[id]) {
+      chess_data.answered[id] = true;
+      recordAnswer(chess_data.fen, id, chess_data.correct[id], inputValue);
+      if (!isCorrect) wrongAnswers[id] = isNaN(inputValue) ? null : inputValue;
+    }
+
+    const feedbackIcon = document.getElementById(id + "FeedbackIcon");
+    if (feedbackIcon) {
+      feedbackIcon.textContent = isCorrect ? "✓" : "✗";
+      feedbackIcon.className = isCorrect ? "feedbackIcon correct" : "feedbackIcon incorrect";
+    }
+    if (breakdown) markMiscountedPieces(id, miscounted);
+
+    if (!chess_data.is_correct[id] && isCorrect) {
+      chess_data.is_correct[id] = true;
+      // Typed moves already scored one by one
+      if (!(effectiveAnswerMode() === "san" && isEnumerated(id))) incrementScore();
+    }
+
+    if (!isCorrect) penalizeTime();
+  });
+  submitMemoryAnswer();
+  savePerformance();
+  if (firstSubmit) updateReviewQueue(wrongAnswers);
+
+  if (gameEnded) return;
+
+if (prevTime > 0 && chess_data.timeRemaining === 0) playBuzz();
+if (chess_data.timeRemaining <= 0) {   gameEnded = true;   endGame();   return; }
+
+const all_correct = Object.values(chess_data.is_correct).reduce((acc, cur) => acc && cur, true);
+if (all_correct && chess_data.daily) nextDailyPosition();
+else if (all_correct) loadNewPuzzle();
+}
+
+// ----------------------------------------------------------
+// Uploaded PGN file (kept in IndexedDB)
+
+function openQuizDb() {
+  return new Promise((resolve, reject) => {
+    if (!window.indexedDB) return reject(new Error("IndexedDB is not available"));
+
+    const request = indexedDB.open("chess-count-quiz", 1);
+    request.onupgradeneeded = () => request.result.createObjectStore("files");
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function idbGet(key) {
+  try {
+    const db = await openQuizDb();
+    return await new Promise((resolve, reject) => {
+      const request = db.transaction("files", "readonly").objectStore("files").get(key);
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () => reject(request.error);
+    });
+  } catch (error) {
+    console.error("Failed to read from IndexedDB:", error);
+    return null;
+  }
+}
+
+async function idbPut(key, value) {
+  const db = await openQuizDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction("files", "readwrite");
+    tx.objectStore("files").put(value, key);
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function setPgnFileStatus(text) {
+  const statusEl = document.getElementById("pgnFileStatus");
+  if (statusEl) statusEl.textContent = text;
+}
+
+// Status line for a PGN file: game count and the first problem found, if any
+function describePgnFile(name, games, errors) {
+  let text = `${name}: ${games.length} games`;
+  if (errors.length > 0) text += `, ${errors.length} problem(s) (first: ${formatPgnError(errors[0])})`;
+  return text;
+}
+
+// Store a dropped or picked file: Lichess puzzle CSVs by their .csv name or header, PGN otherwise
+async function storeUserFile(file) {
+  if (!file) return;
+
+  let text;
+  try {
+    text = await file.text();
+  } catch (error) {
+    console.error("Failed to read file:", error);
+    setPgnFileStatus(`Could not read ${file.name}`);
+    return;
+  }
+
+  if (file.name.toLowerCase().endsWith(".csv") || text.startsWith("PuzzleId,")) await storeUserPuzzles(file.name, text);
+  else await storeUserPgn(file, text);
+}
+
+async function storeUserPuzzles(name, text) {
+  const { puzzles, errors } = parsePuzzleCsv(text);
+  if (puzzles.length === 0) {
+    setPuzzleFileStatus(describePuzzleFile(name, puzzles, errors));
+    return;
+  }
+
+  try {
+    await idbPut("userPuzzles", { name, text });
+  } catch (error) {
+    console.error("Failed to store puzzle file:", error);
+    setPuzzleFileStatus(`Could not store ${name}`);
+    return;
+  }
+
+  setPuzzleFileStatus(describePuzzleFile(name, puzzles, errors));
+
+  const radio = document.querySelector('input[name="positionSource"][value="puzzles"]');
+  if (radio) radio.checked = true;
+}
+
+async function storeUserPgn(file, text) {
+  const { games, errors } = readPgnGames(text, file.name);
+  if (games.length === 0) {
+    setPgnFileStatus(describePgnFile(file.name, games, errors));
+    return;
+  }
+
+  try {
+    await idbPut("userPgn", { name: file.name, text });
+  } catch (error) {
+    console.error("Failed to store PGN file:", error);
+    setPgnFileStatus(`Could not store ${file.name}`);
+    return;
+  }
+
+  setPgnFileStatus(describePgnFile(file.name, games, errors));
+
+  // Uploading a file means the user wants to play it
+  const radio = document.querySelector('input[name="positionSource"][value="upload"]');
+  if (radio) radio.checked = true;
+}
+
+function setupPgnUpload() {
+  const fileInput = document.getElementById("pgnFile");
+  const dropZone = document.getElementById("pgnDropZone");
+
+  if (fileInput) fileInput.onchange = () => storeUserFile(fileInput.files[0]);
+  if (!dropZone) return;
+
+  dropZone.addEventListener("dragover", (event) => {
+    event.preventDefault();
+    dropZone.classList.add("dragover");
+  });
+
+  dropZone.addEventListener("dragleave", () => dropZone.classList.remove("dragover"));
+
+  dropZone.addEventListener("drop", (event) => {
+    event.preventDefault();
+    dropZone.classList.remove("dragover");
+    storeUserFile(event.dataTransfer.files[0]);
+  });
+}
+
+// ----------------------------------------------------------
+// Seeded sessions and links
+//
+// URL parameters (all optional, they apply to this visit only):
+//   seed=friday            same sides and positions for everyone using the seed
+//   game=42&ply=31         start on that Lichess game position (ply = the position to count)
+//   q=p1Checks,p2Captures  question types
+//   ahead=2                plies ahead to visualize
+//   side=w|b               player 1's side
+//   time=5                 timer minutes
+//
+// With a seed, the settings that decide the positions come from the URL too, and take
+// their defaults when they are missing, so that a challenge link replays the same run:
+//   source=lichess|positions    order=sequential    special=1
+//   weights=1,1,0.5        checks, captures and exponent of the position weights
+//   eco=B&minElo=1800...   the position filters, under their chess_data.filters names
+
+const QUESTION_TYPES = [
+  "p1AllLegal",
+  "p1Checks",
+  "p1Mates",
+  "p1Stalemates",
+  "p1Captures",
+  "p1GoodCaptures",
+  "p1Threats",
+  "p1Forks",
+  "p1Hanging",
+  "p1Pins",
+  "p1Attackers",
+  "p2AllLegal",
+  "p2Checks",
+  "p2Mates",
+  "p2Stalemates",
+  "p2Captures",
+  "p2GoodCaptures",
+  "p2Threats",
+  "p2Forks",
+  "p2Hanging",
+  "p2Pins",
+  "p2Attackers",
+];
+
+// Mulberry32: small 32-bit PRNG returning numbers in [0, 1)
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// 32-bit FNV-1a hash, so that any text can be a seed
+function seedFromString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// Random number in [0, 1) for picking positions, from the seed when the session has one
+function random() {
+  return chess_data.rng ? chess_data.rng() : Math.random();
+}
+
+// Apply the URL parameters on top of the stored settings (the seed is read earlier by loadSettings)
+async function applyUrlParams(params) {
+  if (Array.from(params.keys()).length === 0) return;
+
+  if (params.has("q")) {
+    const types = params.get("q").split(",").filter((type) => QUESTION_TYPES.includes(type));
+    if (types.length > 0) chess_data.questionTypes = types;
+    else console.log(`Ignoring q=${params.get("q")}: no known question types`);
+  }
+
+  const ahead = parseInt(params.get("ahead"), 10);
+  if (!isNaN(ahead) && ahead >= 0) chess_data.plyAhead = Math.min(ahead, 10);
+
+  const minutes = parseInt(params.get("time"), 10);
+  if (!isNaN(minutes) && minutes > 0) chess_data.defaultTimeRemaining = minutes * 60;
+
+  const side = (params.get("side") || "").toLowerCase();
+  if (side === "w" || side === "white") setPlayerToMove("White");
+  if (side === "b" || side === "black") setPlayerToMove("Black");
+
+  if (chess_data.seed !== null) {
+    // Adaptive picks and reviews depend on this browser's history
+    chess_data.adaptiveMode = false;
+    chess_data.reviewMode = "off";
+
+    const before = JSON.stringify(runSettings());
+    applyRunParams(params);
+    if (JSON.stringify(runSettings()) !== before) await loadPositionSource();
+  }
+
+  if (params.has("game") && params.has("ply")) await linkPosition(params.get("game"), params.get("ply"));
+
+  setPlayerToMoveAfter();
+  setBoard();
+  createDynamicInputs(getFixedDisplayQuestionTypes());
+  setupHighlightButtons();
+  setUrlSettingsInForm();
+
+  if (chess_data.linkedPosition) startNewGame();
+}
+
+// The settings that decide which positions a seeded run gets
+function runSettings() {
+  return {
+    source: chess_data.positionSource,
+    order: chess_data.positionOrder,
+    special: chess_data.includeSpecialMoves,
+    weights: chess_data.weightFormula,
+    filters: chess_data.filters,
+  };
+}
+
+// Set the run settings from a seeded URL, using the defaults for the missing ones
+function applyRunParams(params) {
+  chess_data.positionSource = params.get("source") === "positions" ? "positions" : "lichess";
+  chess_data.positionOrder = params.get("order") === "sequential" ? "sequential" : "shuffled";
+  chess_data.includeSpecialMoves = params.get("special") === "1";
+
+  chess_data.weightFormula = { ...DEFAULT_WEIGHT_FORMULA };
+  const weights = (params.get("weights") || "").split(",").map(parseFloat);
+  Object.keys(DEFAULT_WEIGHT_FORMULA).forEach((key, i) => {
+    if (weights[i] >= 0) chess_data.weightFormula[key] = weights[i];
+  });
+
+  chess_data.filters = { ...DEFAULT_FILTERS };
+  Object.keys(DEFAULT_FILTERS).forEach((key) => {
+    if (!params.has(key)) return;
+    if (DEFAULT_FILTERS[key] !== null) chess_data.filters[key] = params.get(key);
+    else {
+      const value = parseInt(params.get(key), 10);
+      if (!isNaN(value)) chess_data.filters[key] = value;
+    }
+  });
+}
+
+// Remember a linked Lichess game position for the next loadNewPuzzle, and give player 1 the side shown
+async function linkPosition(gameText, plyText) {
+  if (chess_data.positionSource !== "lichess") {
+    chess_data.positionSource = "lichess";
+    await loadPositionSource();
+  }
+
+  const game = parseInt(gameText, 10);
+  const ply = parseInt(plyText, 10);
+  const pgnGame = chess_data.games[game];
+  if (!pgnGame || isNaN(ply) || ply < 0 || ply > pgnGame.moves.length) {
+    console.log(`Ignoring game=${gameText}&ply=${plyText}: no such position`);
+    return;
+  }
+
+  chess_data.plyAhead = Math.min(chess_data.plyAhead, ply);
+  const sideShown = new Chess(pgnStartFen(pgnGame)).turn();
+  const shownPly = ply - chess_data.plyAhead;
+  setPlayerToMove((shownPly % 2 === 0) === (sideShown === "w") ? "White" : "Black");
+  chess_data.linkedPosition = { game, ply };
+}
+
+function takeLinkedPosition() {
+  const linked = chess_data.linkedPosition;
+  chess_data.linkedPosition = null;
+  return linked;
+}
+
+// Show the settings coming from the URL in the settings form
+function setUrlSettingsInForm() {
+  document.querySelectorAll('input[name="quizOption"]').forEach((option) => {
+    option.checked = chess_data.questionTypes.includes(option.value);
+  });
+
+  const plyAheadEl = document.getElementById("plyAhead");
+  if (plyAheadEl) plyAheadEl.value = chess_data.plyAhead;
+
+  const defaultTimeMinutesEl = document.getElementById("defaultTimeMinutes");
+  if (defaultTimeMinutesEl) defaultTimeMinutesEl.value = Math.round(chess_data.defaultTimeRemaining / 60);
+
+  if (chess_data.seed === null) return;
+
+  const sourceRadio = document.querySelector(`input[name="positionSource"][value="${chess_data.positionSource}"]`);
+  if (sourceRadio) sourceRadio.checked = true;
+  const orderRadio = document.querySelector(`input[name="positionOrder"][value="${chess_data.positionOrder}"]`);
+  if (orderRadio) orderRadio.checked = true;
+  const includeSpecialEl = document.getElementById("includeSpecialMoves");
+  if (includeSpecialEl) includeSpecialEl.checked = chess_data.includeSpecialMoves;
+
+  Object.keys(DEFAULT_WEIGHT_FORMULA).forEach((key) => {
+    const el = document.getElementById(weightFormulaInputId(key));
+    if (el) el.value = chess_data.weightFormula[key];
+  });
+  setFilterInputs();
+}
+
+// Link to the current position with the current questions, or null for positions not from the Lichess games
+function positionLink() {
+  if (chess_data.positionSource !== "lichess" || chess_data.game_index === null || chess_data.reviewCard) return null;
+
+  const params = new URLSearchParams({
+    game: chess_data.game_index,
+    ply: chess_data.ply,
+    q: chess_data.questionTypes.join(","),
+    ahead: chess_data.plyAhead,
+  });
+  return `${window.location.origin}${window.location.pathname}?${params.toString().replaceAll("%2C", ",")}`;
+}
+
+// Link to a seeded timed run with the current settings, reusing the session's seed if it has one.
+// Null when the positions come from files or a list that only this browser has.
+function challengeLink() {
+  if (chess_data.positionSource !== "lichess" && chess_data.positionSource !== "positions") return null;
+  if (chess_data.positionSource === "positions" && customFenText() !== "") return null;
+
+  const params = new URLSearchParams(window.location.search);
+  const seed = params.get("seed") || Math.floor(Math.random() * 1e9).toString(36);
+
+  const link = new URLSearchParams({
+    seed,
+    q: chess_data.questionTypes.join(","),
+    ahead: chess_data.plyAhead,
+    time: Math.round(chess_data.defaultTimeRemaining / 60),
+  });
+  const selectedToMove = document.querySelector('input[name="playerToMove"]:checked');
+  if (selectedToMove && selectedToMove.value !== "Random") link.set("side", selectedToMove.value === "White" ? "w" : "b");
+
+  link.set("source", chess_data.positionSource);
+  if (chess_data.positionOrder === "sequential") link.set("order", "sequential");
+  if (chess_data.includeSpecialMoves) link.set("special", "1");
+  const weightKeys = Object.keys(DEFAULT_WEIGHT_FORMULA);
+  if (weightKeys.some((key) => chess_data.weightFormula[key] !== DEFAULT_WEIGHT_FORMULA[key])) {
+    link.set("weights", weightKeys.map((key) => chess_data.weightFormula[key]).join(","));
+  }
+  Object.keys(DEFAULT_FILTERS).forEach((key) => {
+    const value = chess_data.filters[key];
+    if (value !== DEFAULT_FILTERS[key] && value !== null && value !== "") link.set(key, value);
+  });
+
+  return `${window.location.origin}${window.location.pathname}?${link.toString().replaceAll("%2C", ",")}`;
+}
+
+async function copyLink(link, refusal) {
+  const statusEl = document.getElementById("shareStatus");
+
+  if (!link) {
+    if (statusEl) statusEl.textContent = refusal;
+    return;
+  }
+
+  try {
+    await navigator.clipboard.writeText(link);
+    if (statusEl) statusEl.textContent = "Link copied.";
+  } catch (error) {
+    // No clipboard access (e.g. not https): let the user copy it
+    window.prompt("Copy this link:", link);
+  }
+}
+
+function setupShareButtons() {
+  const positionBtn = document.getElementById("copyPositionLink");
+  if (positionBtn) {
+    positionBtn.onclick = () => copyLink(positionLink(), "Only positions from the Lichess games can be linked.");
+  }
+
+  const challengeBtn = document.getElementById("copyChallengeLink");
+  if (challengeBtn) {
+    challengeBtn.onclick = () =>
+      copyLink(challengeLink(), "Runs on uploaded games, puzzles or your own positions can't be shared.");
+  }
+}
+
+// ----------------------------------------------------------
+// Daily challenge
+//
+// Each date maps to the same positions, side and question types for everyone: they are
+// drawn from the shipped position index with a PRNG seeded by the date, ignoring the
+// settings.  Results are kept in localStorage by date.
+
+const DAILY_POSITIONS = 10;
+const DAILY_QUESTION_COUNT = 3;
+// Fixed, so that new question types don't change the challenges of past and future dates
+const DAILY_QUESTION_TYPES = ["p1AllLegal", "p1Checks", "p1Captures", "p2AllLegal", "p2Checks", "p2Captures"];
+
+// "2026-10-19" in local time
+function dateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function loadDailyResults() {
+  const stored = localStorage.getItem("dailyResults");
+  return stored ? JSON.parse(stored) : {};
+}
+
+// Return { date, side, questionTypes, positions: [{ game, ply, fen }] } for the given date
+async function buildDailyChallenge(date) {
+  const index = await getPositionIndex();
+  if (!index) throw new Error("The position index is needed for the daily challenge.");
 
-  // Clear movesList (bottom) when new puzzle loads
-  const movesList = document.getElementById("movesList");
-  if (movesList) {
-    movesList.innerHTML = "";
-    movesList.style.display = "none";
-  }
+  const rand = mulberry32(seedFromString(`daily-${date}`));
+  const side = rand() < 0.5 ? "w" : "b";
 
-  if (window.innerWidth > 768 && !("ontouchstart" in window || navigator.maxTouchPoints)) {
-    const first = chess_data.questionTypes?.[0];
-    if (first) {
-      const el = document.getElementById(first);
-      if (el) el.focus();
-    }
+  const types = [...DAILY_QUESTION_TYPES];
+  const questionTypes = [];
+  while (questionTypes.length < DAILY_QUESTION_COUNT) {
+    questionTypes.push(types.splice(Math.floor(rand() * types.length), 1)[0]);
   }
 
-  const showMovesButton = document.getElementById("showMovesButton");
-  if (showMovesButton) {
-    showMovesButton.disabled = false;
-    showMovesButton.style.backgroundColor = "";
+  // Same weights as the default settings, and the side to move is player 1
+  const weights = calcGameWeights(index, DEFAULT_WEIGHT_FORMULA, false);
+  const fens = buildFenLookup(index);
+  const candidates = weights.filter((entry) => (entry.ply % 2 === 0) === (side === "w"));
+
+  const positions = [];
+  while (positions.length < DAILY_POSITIONS) {
+    const { game, ply } = candidates[pickWeightedIndex(candidates.map((entry) => entry.weight), rand)];
+    if (positions.some((position) => position.game === game)) continue;
+    positions.push({ game, ply, fen: fens.get(game).get(ply) });
   }
 
-  const form = document.getElementById("chessCountForm");
-  if (form) form.onsubmit = submitAnswers;
+  return { date, side, questionTypes, positions };
 }
 
-function startNewGame() {
+async function startDailyChallenge() {
+  const date = dateKey(new Date());
+  const result = loadDailyResults()[date];
+  if (result) {
+    showDailyResult(result);
+    return;
+  }
+
+  if (chess_data.daily) endDailyChallenge();
+
+  let challenge;
+  try {
+    challenge = await buildDailyChallenge(date);
+  } catch (error) {
+    console.error("Failed to build the daily challenge:", error);
+    setDailyStatus("The daily challenge could not be loaded.");
+    return;
+  }
+
+  // The settings the challenge overrides, put back by endDailyChallenge
+  chess_data.daily = {
+    ...challenge,
+    index: 0,
+    marks: challenge.positions.map(() => []),
+    startedAt: Date.now(),
+    saved: {
+      questionTypes: chess_data.questionTypes,
+      playerToMove: chess_data.playerToMove,
+      plyAhead: chess_data.plyAhead,
+    },
+  };
+
+  chess_data.questionTypes = challenge.questionTypes;
+  chess_data.playerToMove = challenge.side;
+  chess_data.plyAhead = 0;
+  setPlayerToMoveAfter();
+  setBoard();
+  createDynamicInputs(getFixedDisplayQuestionTypes());
+  setupHighlightButtons();
+
+  // No countdown: the result is the time taken
+  clearInterval(timerInterval);
+  timerInterval = null;
   gameEnded = false;
+  chess_data.timeRemaining = Infinity;
+  setTimerVisibility(false);
   resetScore();
+  setDailyResultVisible(false);
+
   loadNewPuzzle();
-  startTimer();
-  initTimer();
+}
 
- try {
-  if (!playBuzz._ctx) {
-    playBuzz._ctx = new (window.AudioContext || window.webkitAudioContext)();
+function loadDailyPosition() {
+  const daily = chess_data.daily;
+  const position = daily.positions[daily.index];
 
-    fetch("duck.mp3")
-      .then(r => r.arrayBuffer())
-      .then(b => playBuzz._ctx.decodeAudioData(b))
-      .then(buf => { playBuzz._buffer = buf; });
+  chess_data.game_index = position.game;
+  chess_data.ply = position.ply;
+  chess_data.aheadMoves = [];
+  chess_data.game = new Chess(position.fen);
+  chess_data.fen = position.fen;
+  chess_data.shownFen = position.fen;
+  showPosition(position.fen);
+
+  setDailyStatus(`Daily challenge ${daily.date}: position ${daily.index + 1}/${daily.positions.length}`);
+}
+
+// A skipped position counts as missed for the questions not answered yet
+function skipDailyPosition() {
+  getFixedDisplayQuestionTypes().forEach((id) => {
+    if (chess_data.answered[id]) return;
+    chess_data.answered[id] = true;
+    chess_data.daily.marks[chess_data.daily.index].push(false);
+  });
+  nextDailyPosition();
+}
+
+function nextDailyPosition() {
+  const daily = chess_data.daily;
+  daily.index++;
+  if (daily.index < daily.positions.length) {
+    loadNewPuzzle();
+    return;
   }
-} catch (e) {}
+
+  const marks = daily.marks;
+  const result = {
+    date: daily.date,
+    score: marks.flat().filter(Boolean).length,
+    total: marks.flat().length,
+    seconds: Math.round((Date.now() - daily.startedAt) / 1000),
+    marks,
+  };
+
+  const results = loadDailyResults();
+  results[daily.date] = result;
+  localStorage.setItem("dailyResults", JSON.stringify(results));
+
+  endDailyChallenge();
+  showDailyResult(result);
 }
 
-// ----------------------------------------------------------
-// Submit answers
+// Put back the settings the challenge overrode
+function endDailyChallenge() {
+  const { saved } = chess_data.daily;
+  chess_data.daily = null;
 
-function submitAnswers(event) {
-  event.preventDefault();
+  chess_data.questionTypes = saved.questionTypes;
+  chess_data.playerToMove = saved.playerToMove;
+  chess_data.plyAhead = saved.plyAhead;
+  setPlayerToMoveAfter();
+  setBoard();
+  createDynamicInputs(getFixedDisplayQuestionTypes());
+  setupHighlightButtons();
+  setTimerVisibility(chess_data.showTimer);
+  setDailyStatus("");
+}
 
-  const prevTime = chess_data.timeRemaining;
-  
-  getFixedDisplayQuestionTypes().forEach((id) => {
-    const input = document.getElementById(id);
-    if (!input) return;
+// Number of days in a row with a result, up to today (or yesterday, if today isn't played yet)
+function dailyStreak(results) {
+  const day = new Date();
+  if (!results[dateKey(day)]) day.setDate(day.getDate() - 1);
 
-    const inputValue = parseInt(input.value, 10);
-    const isCorrect = inputValue === chess_data.correct[id].count;
+  let streak = 0;
+  while (results[dateKey(day)]) {
+    streak++;
+    day.setDate(day.getDate() - 1);
+  }
+  return streak;
+}
 
-    const feedbackIcon = document.getElementById(id + "FeedbackIcon");
-    if (feedbackIcon) {
-      feedbackIcon.textContent = isCorrect ? "✓" : "✗";
-      feedbackIcon.className = isCorrect ? "feedbackIcon correct" : "feedbackIcon incorrect";
-    }
+// Text to share, with a row of marks per position for the first answers
+function dailySummary(result) {
+  const minutes = Math.floor(result.seconds / 60);
+  const seconds = String(result.seconds % 60).padStart(2, "0");
+  const rows = result.marks.map((row) => row.map((ok) => (ok ? "🟩" : "🟥")).join(""));
+
+  return [
+    `Chess Count Quiz daily ${result.date}`,
+    `${result.score}/${result.total} right first time in ${minutes}:${seconds}`,
+    `Streak: ${dailyStreak(loadDailyResults())} day(s)`,
+    ...rows,
+  ].join("\n");
+}
 
-    if (!chess_data.is_correct[id] && isCorrect) {
-      chess_data.is_correct[id] = true;
-      incrementScore();
-    }
+function showDailyResult(result) {
+  const summaryEl = document.getElementById("dailySummary");
+  if (summaryEl) summaryEl.textContent = dailySummary(result);
+  setDailyResultVisible(true);
+}
 
-    if (!isCorrect) penalizeTime();
-  });
+function setDailyResultVisible(visible) {
+  const resultEl = document.getElementById("dailyResult");
+  if (resultEl) resultEl.style.display = visible ? "block" : "none";
+}
 
-  if (gameEnded) return;
+function setDailyStatus(text) {
+  const statusEl = document.getElementById("dailyStatus");
+  if (statusEl) statusEl.textContent = text;
+}
 
-if (prevTime > 0 && chess_data.timeRemaining === 0) playBuzz();
-if (chess_data.timeRemaining <= 0) {   gameEnded = true;   endGame();   return; }
+function setupDailyChallenge() {
+  setDailyResultVisible(false);
 
-const all_correct = Object.values(chess_data.is_correct).reduce((acc, cur) => acc && cur, true);
-if (all_correct) loadNewPuzzle();
+  const dailyBtn = document.getElementById("dailyButton");
+  if (dailyBtn) {
+    dailyBtn.type = "button";
+    dailyBtn.addEventListener("click", startDailyChallenge);
+  }
+
+  const copyBtn = document.getElementById("copyDailySummary");
+  if (copyBtn) {
+    copyBtn.onclick = async () => {
+      const text = document.getElementById("dailySummary").textContent;
+      try {
+        await navigator.clipboard.writeText(text);
+      } catch (error) {
+        window.prompt("Copy your result:", text);
+      }
+    };
+  }
 }
 
 // ----------------------------------------------------------
@@ -687,7 +3092,20 @@ function setupSettingsModal() {
 
   if (settingsBtn) {
     settingsBtn.type = "button";
-    settingsBtn.onclick = () => (settings.style.display = "block");
+    settingsBtn.onclick = () => {
+      setAdaptiveStatus();
+      setReviewStatus();
+      settings.style.display = "block";
+    };
+  }
+
+  const resetPerformanceBtn = document.getElementById("resetPerformance");
+  if (resetPerformanceBtn) {
+    resetPerformanceBtn.onclick = () => {
+      chess_data.performance = emptyPerformance();
+      savePerformance();
+      setAdaptiveStatus();
+    };
   }
 
   if (closeBtn) {
@@ -700,6 +3118,11 @@ function setupSettingsModal() {
 }
 
 async function saveSettings() {
+  // Nothing is saved while two actions share a key
+  if (!checkShortcutInputs()) return;
+
+  if (chess_data.daily) endDailyChallenge();
+
   const showTimer = document.getElementById("showTimer").checked;
   chess_data.showTimer = showTimer;
   localStorage.setItem("showTimer", showTimer);
@@ -716,14 +3139,95 @@ async function saveSettings() {
   localStorage.setItem("selectedToMove", selectedToMove.value);
   setPlayerToMove(selectedToMove.value);
 
-  chess_data.games = await getGames();
-  chess_data.game_weights = await getWeights();
+  const positionSource = document.querySelector('input[name="positionSource"]:checked');
+  chess_data.positionSource = positionSource ? positionSource.value : "lichess";
+  localStorage.setItem("positionSource", chess_data.positionSource);
+
+  const positionOrder = document.querySelector('input[name="positionOrder"]:checked');
+  chess_data.positionOrder = positionOrder ? positionOrder.value : "shuffled";
+  localStorage.setItem("positionOrder", chess_data.positionOrder);
+
+  const customFensEl = document.getElementById("customFens");
+  if (customFensEl) localStorage.setItem("customFens", customFensEl.value);
+
+  const includeSpecialEl = document.getElementById("includeSpecialMoves");
+  chess_data.includeSpecialMoves = includeSpecialEl ? includeSpecialEl.checked : false;
+  localStorage.setItem("includeSpecialMoves", chess_data.includeSpecialMoves);
+
+  const puzzleSolutionAheadEl = document.getElementById("puzzleSolutionAhead");
+  chess_data.puzzleSolutionAhead = puzzleSolutionAheadEl ? puzzleSolutionAheadEl.checked : false;
+  localStorage.setItem("puzzleSolutionAhead", chess_data.puzzleSolutionAhead);
+
+  const adaptiveModeEl = document.getElementById("adaptiveMode");
+  chess_data.adaptiveMode = adaptiveModeEl ? adaptiveModeEl.checked : false;
+  localStorage.setItem("adaptiveMode", chess_data.adaptiveMode);
+
+  const reviewMode = document.querySelector('input[name="reviewMode"]:checked');
+  chess_data.reviewMode = reviewMode ? reviewMode.value : "mixed";
+  localStorage.setItem("reviewMode", chess_data.reviewMode);
+
+  Object.keys(DEFAULT_WEIGHT_FORMULA).forEach((key) => {
+    const el = document.getElementById(weightFormulaInputId(key));
+    const value = el ? parseFloat(el.value) : NaN;
+    chess_data.weightFormula[key] = isNaN(value) || value < 0 ? DEFAULT_WEIGHT_FORMULA[key] : value;
+  });
+  localStorage.setItem("weightFormula", JSON.stringify(chess_data.weightFormula));
+
+  const filterEcoEl = document.getElementById("filterEco");
+  const filterPhaseEl = document.getElementById("filterPhase");
+  const filterThemesEl = document.getElementById("filterThemes");
+  chess_data.filters = {
+    eco: filterEcoEl ? filterEcoEl.value : "",
+    minElo: readOptionalNumber("filterMinElo"),
+    maxElo: readOptionalNumber("filterMaxElo"),
+    minPly: readOptionalNumber("filterMinPly"),
+    maxPly: readOptionalNumber("filterMaxPly"),
+    phase: filterPhaseEl ? filterPhaseEl.value : "",
+    minPieces: readOptionalNumber("filterMinPieces"),
+    themes: filterThemesEl ? filterThemesEl.value : "",
+  };
+  localStorage.setItem("filters", JSON.stringify(chess_data.filters));
+
+  await loadPositionSource();
+  chess_data.positionIndex = 0;
   setBoard();
 
   const questionCheckboxes = document.querySelectorAll('input[name="quizOption"]:checked');
   chess_data.questionTypes = Array.from(questionCheckboxes).map((opt) => opt.value);
   localStorage.setItem("questionTypes", JSON.stringify(chess_data.questionTypes));
 
+  const countXraysEl = document.getElementById("countXrays");
+  chess_data.countXrays = countXraysEl ? countXraysEl.checked : false;
+  localStorage.setItem("countXrays", chess_data.countXrays);
+
+  const pieceBreakdownEl = document.getElementById("pieceBreakdown");
+  chess_data.pieceBreakdown = pieceBreakdownEl ? pieceBreakdownEl.checked : false;
+  localStorage.setItem("pieceBreakdown", chess_data.pieceBreakdown);
+
+  const answerMode = document.querySelector('input[name="answerMode"]:checked');
+  chess_data.answerMode = answerMode ? answerMode.value : "count";
+  localStorage.setItem("answerMode", chess_data.answerMode);
+
+  const shortcutsEnabledEl = document.getElementById("shortcutsEnabled");
+  chess_data.shortcutsEnabled = shortcutsEnabledEl ? shortcutsEnabledEl.checked : true;
+  localStorage.setItem("shortcutsEnabled", chess_data.shortcutsEnabled);
+  chess_data.shortcuts = readShortcutInputs();
+  localStorage.setItem("shortcuts", JSON.stringify(chess_data.shortcuts));
+
+  const blindfold = document.querySelector('input[name="blindfold"]:checked');
+  chess_data.blindfold = blindfold ? blindfold.value : "off";
+  localStorage.setItem("blindfold", chess_data.blindfold);
+  const blindfoldText = document.querySelector('input[name="blindfoldText"]:checked');
+  chess_data.blindfoldText = blindfoldText ? blindfoldText.value : "pieces";
+  localStorage.setItem("blindfoldText", chess_data.blindfoldText);
+
+  const flashSecondsEl = document.getElementById("flashSeconds");
+  chess_data.flashSeconds = Math.min(FLASH_MAX_SECONDS, Math.max(0, parseInt(flashSecondsEl?.value, 10) || 0));
+  localStorage.setItem("flashSeconds", chess_data.flashSeconds);
+  const flashQuestionEl = document.getElementById("flashQuestion");
+  chess_data.flashQuestion = flashQuestionEl ? flashQuestionEl.checked : false;
+  localStorage.setItem("flashQuestion", chess_data.flashQuestion);
+
   createDynamicInputs(getFixedDisplayQuestionTypes());
   setupHighlightButtons();
 
@@ -739,6 +3243,29 @@ async function saveSettings() {
   startNewGame();
 }
 
+// Input id for one term of the weighting formula, e.g. "weightChecks"
+function weightFormulaInputId(key) {
+  return `weight${key[0].toUpperCase()}${key.slice(1)}`;
+}
+
+// Show chess_data.filters in the filter inputs
+function setFilterInputs() {
+  const filterInputs = {
+    filterEco: chess_data.filters.eco,
+    filterMinElo: chess_data.filters.minElo,
+    filterMaxElo: chess_data.filters.maxElo,
+    filterMinPly: chess_data.filters.minPly,
+    filterMaxPly: chess_data.filters.maxPly,
+    filterPhase: chess_data.filters.phase,
+    filterMinPieces: chess_data.filters.minPieces,
+    filterThemes: chess_data.filters.themes,
+  };
+  Object.entries(filterInputs).forEach(([id, value]) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value ?? "";
+  });
+}
+
 function setTimerVisibility(visible) {
   const timerSection = document.getElementById("timerSection");
   if (!timerSection) return;
@@ -749,6 +3276,8 @@ function setTimerVisibility(visible) {
 // Load settings
 
 async function loadSettings() {
+  const urlParams = new URLSearchParams(window.location.search);
+
   chess_data = {
     showTimer: true,
     fen: null,
@@ -764,8 +3293,50 @@ async function loadSettings() {
     plyAhead: 0,
     playerToMove: "w",
     playerToMoveAfter: "w",
+    positionSource: "lichess",
+    positionOrder: "shuffled",
+    positions: null,
+    position_weights: null,
+    filtered_weights: null,
+    fen_lookup: null,
+    filters: { ...DEFAULT_FILTERS },
+    positionIndex: 0,
+    weightFormula: { ...DEFAULT_WEIGHT_FORMULA },
+    includeSpecialMoves: false,
+    puzzles: null,
+    puzzle_id: null,
+    puzzleSolutionAhead: false,
+    aheadMoves: [],
+    adaptiveMode: false,
+    performance: null,
+    answered: {},
+    reviewMode: "mixed",
+    reviewQueue: [],
+    reviewCard: null,
+    revealed: false,
+    shownFen: null,
+    seed: null,
+    rng: null,
+    linkedPosition: null,
+    daily: null,
+    markedSquare: null,
+    countXrays: false,
+    pieceBreakdown: false,
+    answerMode: "count",
+    shortcutsEnabled: true,
+    blindfold: "off",
+    blindfoldText: "pieces",
+    flashSeconds: 0,
+    flashQuestion: false,
+    flashHidden: false,
+    memoryQuestion: null,
+    shortcuts: {},
+    enumerateFrom: null,
+    found: {},
   };
 
+  if (urlParams.has("seed")) chess_data.seed = seedFromString(urlParams.get("seed"));
+
   chess_data.showTimer = localStorage.getItem("showTimer") === "false" ? false : true;
   const showTimerEl = document.getElementById("showTimer");
   if (showTimerEl) showTimerEl.checked = chess_data.showTimer;
@@ -789,8 +3360,49 @@ async function loadSettings() {
 
   setPlayerToMoveAfter();
 
-  chess_data.games = await getGames();
-  chess_data.game_weights = await getWeights();
+  chess_data.positionSource = localStorage.getItem("positionSource") || chess_data.positionSource;
+  const sourceRadio = document.querySelector(`input[name="positionSource"][value="${chess_data.positionSource}"]`);
+  if (sourceRadio) sourceRadio.checked = true;
+
+  chess_data.positionOrder = localStorage.getItem("positionOrder") || chess_data.positionOrder;
+  const orderRadio = document.querySelector(`input[name="positionOrder"][value="${chess_data.positionOrder}"]`);
+  if (orderRadio) orderRadio.checked = true;
+
+  const customFensEl = document.getElementById("customFens");
+  if (customFensEl) customFensEl.value = localStorage.getItem("customFens") || "";
+
+  chess_data.includeSpecialMoves = localStorage.getItem("includeSpecialMoves") === "true";
+  const includeSpecialEl = document.getElementById("includeSpecialMoves");
+  if (includeSpecialEl) includeSpecialEl.checked = chess_data.includeSpecialMoves;
+
+  chess_data.puzzleSolutionAhead = localStorage.getItem("puzzleSolutionAhead") === "true";
+  const puzzleSolutionAheadEl = document.getElementById("puzzleSolutionAhead");
+  if (puzzleSolutionAheadEl) puzzleSolutionAheadEl.checked = chess_data.puzzleSolutionAhead;
+
+  chess_data.adaptiveMode = localStorage.getItem("adaptiveMode") === "true";
+  const adaptiveModeEl = document.getElementById("adaptiveMode");
+  if (adaptiveModeEl) adaptiveModeEl.checked = chess_data.adaptiveMode;
+  chess_data.performance = loadPerformance();
+  setAdaptiveStatus();
+
+  chess_data.reviewMode = localStorage.getItem("reviewMode") || chess_data.reviewMode;
+  const reviewRadio = document.querySelector(`input[name="reviewMode"][value="${chess_data.reviewMode}"]`);
+  if (reviewRadio) reviewRadio.checked = true;
+  chess_data.reviewQueue = loadReviewQueue();
+  setReviewStatus();
+
+  const storedFormula = localStorage.getItem("weightFormula");
+  if (storedFormula) chess_data.weightFormula = { ...DEFAULT_WEIGHT_FORMULA, ...JSON.parse(storedFormula) };
+  Object.keys(DEFAULT_WEIGHT_FORMULA).forEach((key) => {
+    const el = document.getElementById(weightFormulaInputId(key));
+    if (el) el.value = chess_data.weightFormula[key];
+  });
+
+  const storedFilters = localStorage.getItem("filters");
+  if (storedFilters) chess_data.filters = { ...DEFAULT_FILTERS, ...JSON.parse(storedFilters) };
+  setFilterInputs();
+
+  await loadPositionSource();
   setBoard();
 
   const storedTypes = localStorage.getItem("questionTypes");
@@ -803,8 +3415,49 @@ async function loadSettings() {
     if (el) el.checked = true;
   });
 
+  chess_data.countXrays = localStorage.getItem("countXrays") === "true";
+  const countXraysEl = document.getElementById("countXrays");
+  if (countXraysEl) countXraysEl.checked = chess_data.countXrays;
+
+  chess_data.pieceBreakdown = localStorage.getItem("pieceBreakdown") === "true";
+  const pieceBreakdownEl = document.getElementById("pieceBreakdown");
+  if (pieceBreakdownEl) pieceBreakdownEl.checked = chess_data.pieceBreakdown;
+
+  // Finding the moves on the board used to be a checkbox, stored as enumerateMode
+  const oldEnumerateMode = localStorage.getItem("enumerateMode");
+  if (oldEnumerateMode !== null) {
+    if (oldEnumerateMode === "true" && !localStorage.getItem("answerMode")) localStorage.setItem("answerMode", "board");
+    localStorage.removeItem("enumerateMode");
+  }
+  chess_data.answerMode = localStorage.getItem("answerMode") || chess_data.answerMode;
+  const answerModeRadio = document.querySelector(`input[name="answerMode"][value="${chess_data.answerMode}"]`);
+  if (answerModeRadio) answerModeRadio.checked = true;
+
+  chess_data.shortcutsEnabled = localStorage.getItem("shortcutsEnabled") !== "false";
+  const shortcutsEnabledEl = document.getElementById("shortcutsEnabled");
+  if (shortcutsEnabledEl) shortcutsEnabledEl.checked = chess_data.shortcutsEnabled;
+  chess_data.shortcuts = loadShortcuts();
+  createShortcutInputs();
+
+  chess_data.blindfold = localStorage.getItem("blindfold") || chess_data.blindfold;
+  const blindfoldRadio = document.querySelector(`input[name="blindfold"][value="${chess_data.blindfold}"]`);
+  if (blindfoldRadio) blindfoldRadio.checked = true;
+  chess_data.blindfoldText = localStorage.getItem("blindfoldText") || chess_data.blindfoldText;
+  const blindfoldTextRadio = document.querySelector(`input[name="blindfoldText"][value="${chess_data.blindfoldText}"]`);
+  if (blindfoldTextRadio) blindfoldTextRadio.checked = true;
+
+  const storedFlashSeconds = parseInt(localStorage.getItem("flashSeconds") || "0", 10) || 0;
+  chess_data.flashSeconds = Math.min(FLASH_MAX_SECONDS, Math.max(0, storedFlashSeconds));
+  const flashSecondsEl = document.getElementById("flashSeconds");
+  if (flashSecondsEl) flashSecondsEl.value = chess_data.flashSeconds;
+  chess_data.flashQuestion = localStorage.getItem("flashQuestion") === "true";
+  const flashQuestionEl = document.getElementById("flashQuestion");
+  if (flashQuestionEl) flashQuestionEl.checked = chess_data.flashQuestion;
+
   createDynamicInputs(getFixedDisplayQuestionTypes());
   setupHighlightButtons();
+
+  await applyUrlParams(urlParams);
 }
 
 function setPlayerToMove(selected) {
@@ -813,7 +3466,11 @@ function setPlayerToMove(selected) {
 
   if (selected === "White") chess_data.playerToMove = "w";
   else if (selected === "Black") chess_data.playerToMove = "b";
-  else chess_data.playerToMove = Math.random() < 0.5 ? "w" : "b";
+  else {
+    // With a seed, the side is the seed's first draw so that everyone gets the same one
+    const draw = chess_data.seed !== null ? mulberry32(chess_data.seed)() : Math.random();
+    chess_data.playerToMove = draw < 0.5 ? "w" : "b";
+  }
 }
 
 function setPlayerToMoveAfter() {
@@ -821,12 +3478,427 @@ function setPlayerToMoveAfter() {
     chess_data.plyAhead % 2 === 0 ? chess_data.playerToMove : chess_data.playerToMove === "w" ? "b" : "w";
 }
 
+// ----------------------------------------------------------
+// Blindfold
+//
+// chess_data.blindfold is "off", "empty" (empty board), "none" (no board at all) or
+// "opponent" (only the pieces of the side not to move hidden).  The hidden pieces are
+// described under the board instead, as piece lists or FEN (chess_data.blindfoldText).
+
+const BLINDFOLD_PIECE_ORDER = "kqrbnp";
+
+// Put fen on the board, leaving out the pieces blindfold mode hides
+function showPosition(fen) {
+  const boardEl = document.getElementById("board");
+  const hideBoard = chess_data.blindfold === "none";
+  if (boardEl && (boardEl.style.display === "none") !== hideBoard) {
+    boardEl.style.display = hideBoard ? "none" : "";
+    // chessboard.js can't size itself while hidden, and resizing redraws the squares
+    if (!hideBoard) {
+      chess_data.board.resize();
+      ensurePieceMarkers();
+    }
+  }
+
+  const hidden = blindfoldHiddenColors();
+  const board = parseFenBoard(fen);
+  const shown = {};
+  Object.entries(board).forEach(([square, piece]) => {
+    if (!hidden.includes(piece.color)) shown[square] = piece.color + piece.type.toUpperCase();
+  });
+
+  chess_data.board.position(hidden.length === 0 ? fen : shown);
+  setBlindfoldText(fen, hidden);
+}
+
+function blindfoldHiddenColors() {
+  if (chess_data.flashHidden) return ["w", "b"];
+  if (chess_data.blindfold === "off") return [];
+  if (chess_data.blindfold === "opponent") return [chess_data.playerToMove === "w" ? "b" : "w"];
+  return ["w", "b"];
+}
+
+// "White: Kh2, Qe3, Bh5, a2, b3": king first, then by value, pawns by their square only
+function describePieces(board, color) {
+  const order = (square) => BLINDFOLD_PIECE_ORDER.indexOf(board[square].type);
+  const squares = Object.keys(board)
+    .filter((square) => board[square].color === color)
+    .sort((a, b) => order(a) - order(b) || a.localeCompare(b));
+
+  const pieces = squares.map((square) =>
+    board[square].type === "p" ? square : `${board[square].type.toUpperCase()}${square}`
+  );
+  return `${color === "w" ? "White" : "Black"}: ${pieces.join(", ") || "-"}`;
+}
+
+function setBlindfoldText(fen, hidden) {
+  const textEl = document.getElementById("blindfoldText");
+  if (!textEl) return;
+
+  // Flash mode hides the text along with the pieces
+  textEl.hidden = hidden.length === 0 || chess_data.flashHidden;
+  if (textEl.hidden) {
+    textEl.textContent = "";
+  } else if (chess_data.blindfoldText === "fen") {
+    textEl.textContent = fen;
+  } else {
+    const board = parseFenBoard(fen);
+    const toMove = fen.split(" ")[1] === "w" ? "White" : "Black";
+    textEl.textContent = [...hidden.map((color) => describePieces(board, color)), `${toMove} to move`].join("\n");
+  }
+}
+
+// ----------------------------------------------------------
+// Flash mode
+//
+// With chess_data.flashSeconds > 0, each position is shown for that long and then blanked
+// (chess_data.flashHidden) until the answers are revealed.  Answers given from memory score
+// more the shorter the exposure.  chess_data.memoryQuestion optionally asks where one piece stood.
+
+// Longest exposure the settings allow (as in index.html)
+const FLASH_MAX_SECONDS = 60;
+
+// Longest exposure (seconds) for each points multiplier, best first
+const FLASH_MULTIPLIERS = [
+  [1, 4],
+  [2, 3],
+  [5, 2],
+];
+
+function flashMultiplier() {
+  if (!chess_data.flashHidden) return 1;
+  const step = FLASH_MULTIPLIERS.find(([seconds]) => chess_data.flashSeconds <= seconds);
+  return step ? step[1] : 1;
+}
+
+function startFlash() {
+  clearTimeout(flashTimeout);
+  chess_data.flashHidden = false;
+  setFlashStatus("");
+  if (!chess_data.flashSeconds) return;
+
+  setFlashStatus(`Memorize the position: ${chess_data.flashSeconds} s`);
+  flashTimeout = setTimeout(() => {
+    chess_data.flashHidden = true;
+    showPosition(chess_data.shownFen);
+    setFlashStatus(`From memory: ×${flashMultiplier()} points`);
+  }, chess_data.flashSeconds * 1000);
+}
+
+// Show the position again (on reveal)
+function endFlash() {
+  clearTimeout(flashTimeout);
+  setFlashStatus("");
+  if (!chess_data.flashHidden) return;
+
+  chess_data.flashHidden = false;
+  showPosition(chess_data.shownFen);
+}
+
+function setFlashStatus(text) {
+  const statusEl = document.getElementById("flashStatus");
+  if (statusEl) statusEl.textContent = text;
+}
+
+// A piece that is the only one of its kind (kings last), so the question has one answer
+function pickMemoryPiece(fen) {
+  const board = parseFenBoard(fen);
+  const kind = (square) => board[square].color + board[square].type;
+  const squares = Object.keys(board);
+  const unique = squares.filter((square) => squares.filter((other) => kind(other) === kind(square)).length === 1);
+
+  const pieces = unique.filter((square) => board[square].type !== "k");
+  const pool = pieces.length > 0 ? pieces : unique;
+  // Not from the seeded stream: seed links don't carry this setting, so it mustn't change the positions
+  const square = pool[Math.floor(Math.random() * pool.length)];
+  return { square, ...board[square] };
+}
+
+function setupMemoryQuestion() {
+  const container = document.getElementById("memoryQuestion");
+  const input = document.getElementById("memorySquare");
+  const feedbackIcon = document.getElementById("memoryFeedbackIcon");
+
+  const asked = chess_data.flashSeconds > 0 && chess_data.flashQuestion;
+  chess_data.memoryQuestion = asked ? pickMemoryPiece(chess_data.shownFen) : null;
+  if (!container) return;
+
+  container.hidden = !chess_data.memoryQuestion;
+  if (input) input.value = "";
+  if (feedbackIcon) {
+    feedbackIcon.textContent = "";
+    feedbackIcon.className = "feedbackIcon";
+  }
+  if (!chess_data.memoryQuestion) return;
+
+  const { color, type } = chess_data.memoryQuestion;
+  document.getElementById("memoryLabel").textContent = `Where was the ${color === "w" ? "white" : "black"} ${PIECE_NAMES[type]}?`;
+  chess_data.is_correct.memorySquare = false;
+}
+
+// Checked with the counts; scores and costs time like them
+function submitMemoryAnswer() {
+  const question = chess_data.memoryQuestion;
+  const input = document.getElementById("memorySquare");
+  if (!question || !input) return;
+
+  const isCorrect = input.value.trim().toLowerCase() === question.square;
+
+  const feedbackIcon = document.getElementById("memoryFeedbackIcon");
+  if (feedbackIcon) {
+    feedbackIcon.textContent = isCorrect ? "✓" : "✗";
+    feedbackIcon.className = isCorrect ? "feedbackIcon correct" : "feedbackIcon incorrect";
+  }
+
+  if (!chess_data.is_correct.memorySquare && isCorrect) {
+    chess_data.is_correct.memorySquare = true;
+    incrementScore();
+  }
+  if (!isCorrect) penalizeTime();
+}
+
 function setBoard() {
-  chess_data.board = Chessboard("board", "start");
+  chess_data.board = Chessboard("board", {
+    position: "start",
+    draggable: true,
+    onDragStart: onEnumerateDragStart,
+    onDrop: onEnumerateDrop,
+  });
   if (chess_data.playerToMove === "b") chess_data.board.flip();
   ensurePieceMarkers();
 }
 
+// ----------------------------------------------------------
+// Keyboard shortcuts
+//
+// chess_data.shortcuts maps each action to its key as in event.key, so "M" is Shift+M.
+// The highlight buttons are actions named by their id.
+
+const SHORTCUT_DEFAULTS = {
+  start: "s",
+  showAnswers: "a",
+  next: "n",
+  settings: "o",
+  help: "?",
+  hl_p1AllLegal: "m",
+  hl_p2AllLegal: "M",
+  hl_p1Checks: "c",
+  hl_p2Checks: "C",
+  hl_p1Mates: "k",
+  hl_p2Mates: "K",
+  hl_p1Stalemates: "l",
+  hl_p2Stalemates: "L",
+  hl_p1Captures: "x",
+  hl_p2Captures: "X",
+  hl_p1Threats: "t",
+  hl_p2Threats: "T",
+  hl_p1Forks: "f",
+  hl_p2Forks: "F",
+  hl_p1Hanging: "h",
+  hl_p2Hanging: "H",
+  hl_p1Pins: "p",
+  hl_p2Pins: "P",
+  hl_clear: "z",
+};
+
+const SHORTCUT_LABELS = {
+  start: "Start",
+  showAnswers: "Show answers",
+  next: "Next position (skip this one)",
+  settings: "Settings",
+  help: "Show or hide this list",
+};
+
+// Actions that press a button
+const SHORTCUT_BUTTONS = { start: "startButton", showAnswers: "showMovesButton", settings: "settingsButton" };
+
+function loadShortcuts() {
+  try {
+    const stored = JSON.parse(localStorage.getItem("shortcuts") || "{}");
+    return { ...SHORTCUT_DEFAULTS, ...stored };
+  } catch (error) {
+    console.log("Ignoring the stored shortcuts:", error);
+    return { ...SHORTCUT_DEFAULTS };
+  }
+}
+
+function shortcutLabel(action) {
+  if (SHORTCUT_LABELS[action]) return SHORTCUT_LABELS[action];
+  const button = document.getElementById(action);
+  return button ? `Highlight ${button.textContent.trim()}` : action;
+}
+
+function runShortcut(action) {
+  if (action === "help") return toggleShortcutHelp();
+  if (action === "next") return chess_data.daily ? skipDailyPosition() : loadNewPuzzle();
+
+  // Disabled buttons (Show Answers once used) ignore the click, as with the mouse
+  const button = document.getElementById(SHORTCUT_BUTTONS[action] || action);
+  if (button) button.click();
+}
+
+// Letters still work from the count inputs, which only take digits
+function isTypingField(el) {
+  if (!el || !el.tagName) return false;
+  if (el.tagName === "TEXTAREA" || el.tagName === "SELECT") return true;
+  return el.tagName === "INPUT" && !["number", "checkbox", "radio", "button"].includes(el.type);
+}
+
+function setupKeyboardShortcuts() {
+  document.addEventListener("keydown", (event) => {
+    const settings = document.getElementById("settingsModal");
+    const settingsOpen = settings && settings.style.display === "block";
+
+    if (event.key === "Escape") {
+      if (settingsOpen) settings.style.display = "none";
+      setShortcutHelpVisible(false);
+      return;
+    }
+
+    if (!chess_data.shortcutsEnabled || settingsOpen) return;
+    if (event.ctrlKey || event.metaKey || event.altKey || isTypingField(event.target)) return;
+
+    const action = Object.keys(chess_data.shortcuts).find((a) => chess_data.shortcuts[a] === event.key);
+    if (!action) return;
+
+    event.preventDefault();
+    runShortcut(action);
+  });
+
+  const help = document.getElementById("shortcutHelp");
+  if (help) {
+    help.querySelector(".close-button").onclick = () => setShortcutHelpVisible(false);
+    help.addEventListener("click", (event) => {
+      if (event.target === help) setShortcutHelpVisible(false);
+    });
+  }
+}
+
+// Enter goes to the next count input (submitting after the last), ← and → step the count
+function handleCountInputKey(event, input) {
+  if (!chess_data.shortcutsEnabled) return;
+
+  if (event.key === "ArrowLeft" || event.key === "ArrowRight") {
+    event.preventDefault();
+    const value = parseInt(input.value || "0", 10) + (event.key === "ArrowRight" ? 1 : -1);
+    input.value = Math.max(0, value);
+    input.dispatchEvent(new Event("input"));
+    return;
+  }
+
+  if (event.key !== "Enter") return;
+  event.preventDefault();
+
+  const inputs = editableCountInputs();
+  const next = inputs[inputs.indexOf(input) + 1];
+  if (next) {
+    next.focus();
+    next.select();
+  } else {
+    const submit = document.getElementById("submit");
+    if (submit) submit.click();
+  }
+}
+
+// Count inputs the user types in, in page order (totals filled from other inputs left out)
+function editableCountInputs() {
+  return Array.from(document.querySelectorAll('#count-inputs input[type="number"]')).filter((el) => !el.readOnly);
+}
+
+function setShortcutHelpVisible(visible) {
+  const help = document.getElementById("shortcutHelp");
+  if (!help) return;
+
+  if (visible) fillShortcutHelp();
+  help.style.display = visible ? "block" : "none";
+}
+
+function toggleShortcutHelp() {
+  const help = document.getElementById("shortcutHelp");
+  setShortcutHelpVisible(help && help.style.display !== "block");
+}
+
+function fillShortcutHelp() {
+  const table = document.getElementById("shortcutTable");
+  if (!table) return;
+
+  const rows = Object.keys(SHORTCUT_DEFAULTS)
+    .filter((action) => chess_data.shortcuts[action])
+    .map((action) => [chess_data.shortcuts[action], shortcutLabel(action)]);
+  rows.push(
+    ["Enter", "Next count, submit after the last one"],
+    ["← →", "Decrease or increase the count"],
+    ["Tab", "Next input"],
+    ["Esc", "Close this list or the settings"]
+  );
+
+  table.innerHTML = "";
+  rows.forEach(([key, label]) => {
+    const tr = document.createElement("tr");
+    const keyCell = document.createElement("td");
+    const kbd = document.createElement("kbd");
+    kbd.textContent = key;
+    keyCell.appendChild(kbd);
+
+    const labelCell = document.createElement("td");
+    labelCell.textContent = label;
+
+    tr.append(keyCell, labelCell);
+    table.appendChild(tr);
+  });
+}
+
+// One key input per action in the settings dialog
+function createShortcutInputs() {
+  const container = document.getElementById("shortcutKeys");
+  if (!container) return;
+
+  container.innerHTML = "";
+  Object.keys(SHORTCUT_DEFAULTS).forEach((action) => {
+    const label = document.createElement("label");
+    label.className = "shortcut-setting";
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.maxLength = 1;
+    input.className = "shortcut-key";
+    input.dataset.action = action;
+    input.value = chess_data.shortcuts[action] || "";
+
+    label.append(input, shortcutLabel(action));
+    container.appendChild(label);
+  });
+}
+
+// Return whether every key is used by one action at most, saying which one is not in the settings
+function checkShortcutInputs() {
+  const actions = {};
+  let duplicate = null;
+  document.querySelectorAll("#shortcutKeys .shortcut-key").forEach((input) => {
+    input.classList.remove("invalid");
+    if (input.value === "") return;
+
+    const label = shortcutLabel(input.dataset.action);
+    if (actions[input.value]) {
+      input.classList.add("invalid");
+      duplicate = duplicate || `"${input.value}" is the key of both ${actions[input.value]} and ${label}.`;
+    } else actions[input.value] = label;
+  });
+
+  const statusEl = document.getElementById("shortcutStatus");
+  if (statusEl) statusEl.textContent = duplicate || "";
+  return duplicate === null;
+}
+
+// An empty key leaves the action without a shortcut
+function readShortcutInputs() {
+  const shortcuts = { ...chess_data.shortcuts };
+  document.querySelectorAll("#shortcutKeys .shortcut-key").forEach((input) => {
+    shortcuts[input.dataset.action] = input.value;
+  });
+  return shortcuts;
+}
+
 // ----------------------------------------------------------
 // Dynamic inputs
 
@@ -835,6 +3907,8 @@ function createDynamicInputs(questionTypes) {
   if (!elem) return;
 
   elem.innerHTML = "";
+  // Remembered so that loadNewPuzzle can rebuild the inputs when the position changes the answer mode
+  createDynamicInputs._answerMode = effectiveAnswerMode();
 
   questionTypes.forEach((questionType) => {
     const div = document.createElement("div");
@@ -855,8 +3929,11 @@ function createDynamicInputs(questionTypes) {
     input.min = "0";
     input.required = true;
 
+    input.onkeydown = (event) => handleCountInputKey(event, input);
+
     decrementButton.textContent = "←";
     decrementButton.type = "button";
+    decrementButton.tabIndex = -1;
     decrementButton.onclick = () => {
       if (parseInt(input.value || "0", 10) > 0) input.value = parseInt(input.value || "0", 10) - 1;
     };
@@ -864,6 +3941,7 @@ function createDynamicInputs(questionTypes) {
 
     incrementButton.textContent = "→";
     incrementButton.type = "button";
+    incrementButton.tabIndex = -1;
     incrementButton.onclick = () => {
       input.value = parseInt(input.value || "0", 10) + 1;
     };
@@ -882,10 +3960,83 @@ function createDynamicInputs(questionTypes) {
     div.appendChild(feedbackIcon);
     div.appendChild(shownMoves);
 
+    // Enumerate modes: the count is the number of moves found
+    if (isEnumerated(questionType)) {
+      input.readOnly = true;
+      decrementButton.style.visibility = "hidden";
+      incrementButton.style.visibility = "hidden";
+
+      if (effectiveAnswerMode() === "san") div.appendChild(createSanEntry(questionType));
+
+      const progress = document.createElement("div");
+      progress.className = "enumerate-progress";
+      progress.id = `${questionType}Found`;
+      div.appendChild(progress);
+    } else if (chess_data.pieceBreakdown) {
+      // Detailed mode: one input per piece type, the total being their sum
+      input.readOnly = true;
+      decrementButton.style.visibility = "hidden";
+      incrementButton.style.visibility = "hidden";
+      div.appendChild(createBreakdownInputs(questionType, input));
+    }
+
     elem.appendChild(div);
   });
 }
 
+// Text input for typing the moves of a question, Enter adding each one
+function createSanEntry(questionType) {
+  const row = document.createElement("div");
+  row.className = "san-entry";
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.id = `${questionType}San`;
+  input.placeholder = "Type a move, e.g. Qxh7+";
+  input.autocomplete = "off";
+  input.setAttribute("list", `${questionType}SanOptions`);
+  input.onkeydown = (event) => {
+    if (event.key !== "Enter") return;
+    event.preventDefault();
+    submitTypedMove(questionType, input.value.trim());
+    input.value = "";
+  };
+
+  const list = document.createElement("datalist");
+  list.id = `${questionType}SanOptions`;
+
+  row.append(input, list);
+  return row;
+}
+
+// Row of P N B R Q K inputs in the legend colours, ids like "p1Checks_q"
+function createBreakdownInputs(questionType, totalInput) {
+  const row = document.createElement("div");
+  row.className = "piece-breakdown";
+
+  BREAKDOWN_PIECES.forEach((piece) => {
+    const cell = document.createElement("label");
+    cell.className = "breakdown-cell";
+    cell.id = `${questionType}_${piece}Cell`;
+
+    const swatch = document.createElement("span");
+    swatch.className = `legend-swatch piece-${piece}`;
+
+    const input = document.createElement("input");
+    input.type = "number";
+    input.id = `${questionType}_${piece}`;
+    input.min = "0";
+    input.value = 0;
+    input.oninput = () => (totalInput.value = sumOfValues(breakdownValues(questionType)));
+    input.onkeydown = (event) => handleCountInputKey(event, input);
+
+    cell.append(swatch, piece.toUpperCase(), input);
+    row.appendChild(cell);
+  });
+
+  return row;
+}
+
 function createDynamicInputsLabel(questionType) {
   const isP1 = questionType.startsWith("p1");
   const colorAbs = isP1 ? chess_data.playerToMove : chess_data.playerToMove === "w" ? "b" : "w";
@@ -894,7 +4045,15 @@ function createDynamicInputsLabel(questionType) {
   let what = "Moves";
   if (questionType.endsWith("Checks")) what = "Checks";
   if (questionType.endsWith("Captures")) what = "Captures";
+  if (questionType.endsWith("GoodCaptures")) what = "Good Captures";
+  if (questionType.endsWith("Threats")) what = "Threats";
+  if (questionType.endsWith("Forks")) what = "Forks";
   if (questionType.endsWith("AllLegal")) what = "Moves";
+  if (questionType.endsWith("Mates")) what = "Checkmates";
+  if (questionType.endsWith("Stalemates")) what = "Stalemating Moves";
+  if (questionType.endsWith("Hanging")) what = "Hanging Pieces";
+  if (questionType.endsWith("Pins")) what = "Pinned Pieces";
+  if (questionType.endsWith("Attackers")) what = "Attackers of the Red Square";
 
   return `${who}\n${what}:`;
 }
@@ -905,6 +4064,11 @@ function createDynamicInputsLabel(questionType) {
 document.addEventListener("DOMContentLoaded", () => {
   // Settings modal wiring
   setupSettingsModal();
+  setupPgnUpload();
+  setupShareButtons();
+  setupDailyChallenge();
+  setupEnumerateClicks();
+  setupKeyboardShortcuts();
 
   const startBtn = document.getElementById("startButton");
   if (startBtn) {
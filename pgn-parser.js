@@ -0,0 +1,220 @@
+// -----------------------------------------------------------
+// PGN parser
+//
+// parsePgn(text) returns { games, errors }.  Each game is
+//   { headers: { Event: ..., ... }, moves: [{ san, line }], comments: [{ ply, text, line }],
+//     result, line, errors: [{ line, message }] }
+// where moves is the mainline only (variations are skipped) and a comment's ply
+// is the number of mainline moves played before it.  errors holds every
+// problem found, each with the line number it was found on.
+
+const PGN_RESULTS = ["1-0", "0-1", "1/2-1/2", "*"];
+const PGN_SAN_REGEX = /^(?:[NBRQK][a-h]?[1-8]?x?[a-h][1-8]|[a-h](?:x[a-h])?[1-8](?:=?[NBRQ])?|O-O(?:-O)?)[+#]?$/;
+const PGN_SUFFIX_NAGS = { "!": 1, "?": 2, "!!": 3, "??": 4, "!?": 5, "?!": 6 };
+
+// Split PGN text into tokens: tag, comment, open, close, nag, movenum, san, result.
+// Problems become error tokens so they stay in order with the games they belong to.
+function tokenizePgn(text) {
+  const src = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  const error = (message, at = line) => tokens.push({ type: "error", message, line: at });
+
+  while (i < src.length) {
+    const ch = src[i];
+    const atLineStart = i === 0 || src[i - 1] === "\n";
+
+    if (ch === "\n") {
+      line++;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === "%" && atLineStart) {
+      // Escape mechanism: the whole line is ignored
+      while (i < src.length && src[i] !== "\n") i++;
+    } else if (ch === ";") {
+      const end = src.indexOf("\n", i);
+      const stop = end === -1 ? src.length : end;
+      tokens.push({ type: "comment", value: src.slice(i + 1, stop).trim(), line });
+      i = stop;
+    } else if (ch === "{") {
+      const end = src.indexOf("}", i);
+      if (end === -1) {
+        error("Unterminated { comment");
+        break;
+      }
+      const value = src.slice(i + 1, end);
+      tokens.push({ type: "comment", value: value.trim(), line });
+      line += (value.match(/\n/g) || []).length;
+      i = end + 1;
+    } else if (ch === "[") {
+      const end = src.indexOf("\n", i);
+      const rest = src.slice(i, end === -1 ? src.length : end);
+      const match = rest.match(/^\[\s*([A-Za-z0-9_]+)\s+"((?:[^"\\]|\\.)*)"\s*\]/);
+      if (!match) {
+        error("Malformed tag pair");
+        i += rest.length;
+        continue;
+      }
+      tokens.push({ type: "tag", name: match[1], value: match[2].replace(/\\(["\\])/g, "$1"), line });
+      i += match[0].length;
+    } else if (ch === "(") {
+      tokens.push({ type: "open", line });
+      i++;
+    } else if (ch === ")") {
+      tokens.push({ type: "close", line });
+      i++;
+    } else if (ch === "$") {
+      const match = src.slice(i).match(/^\$(\d+)/);
+      if (!match) {
+        error("Expected a number after $");
+        i++;
+        continue;
+      }
+      tokens.push({ type: "nag", value: parseInt(match[1], 10), line });
+      i += match[0].length;
+    } else if (ch === "*") {
+      tokens.push({ type: "result", value: "*", line });
+      i++;
+    } else if (/[A-Za-z0-9]/.test(ch)) {
+      const symbol = src.slice(i).match(/^[A-Za-z0-9_+#=:\-\/.]+[!?]*/)[0];
+      tokenizeSymbol(symbol, line, tokens, error);
+      i += symbol.length;
+    } else if (ch === "." || ch === "!" || ch === "?") {
+      // Stray dots ("12. ... e5") and detached suffix annotations
+      const run = src.slice(i).match(/^[.!?]+/)[0];
+      if (PGN_SUFFIX_NAGS[run]) tokens.push({ type: "nag", value: PGN_SUFFIX_NAGS[run], line });
+      i += run.length;
+    } else {
+      error(`Unexpected character "${ch}"`);
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+// Classify one symbol token, splitting glued move numbers ("12.Nf3") and suffix annotations ("Qxh7+!")
+function tokenizeSymbol(symbol, line, tokens, error) {
+  if (PGN_RESULTS.includes(symbol)) {
+    tokens.push({ type: "result", value: symbol, line });
+    return;
+  }
+
+  let rest = symbol;
+  const numberMatch = rest.match(/^(\d+)(\.*)/);
+  if (numberMatch && (numberMatch[2] || numberMatch[0] === rest)) {
+    tokens.push({ type: "movenum", value: parseInt(numberMatch[1], 10), line });
+    rest = rest.slice(numberMatch[0].length);
+    if (rest === "") return;
+  }
+
+  const suffixMatch = rest.match(/[!?]+$/);
+  const suffix = suffixMatch ? suffixMatch[0] : "";
+  const san = rest
+    .slice(0, rest.length - suffix.length)
+    .replace(/^0-0-0/, "O-O-O")
+    .replace(/^0-0/, "O-O")
+    .replace(/^([a-h](?:x[a-h])?[18])([NBRQ])/, "$1=$2");
+
+  if (san === "--" || san === "Z0") {
+    error(`Null move "${san}" is not supported`, line);
+  } else if (!PGN_SAN_REGEX.test(san)) {
+    error(`Invalid move "${san}"`, line);
+  } else {
+    tokens.push({ type: "san", value: san, line });
+  }
+
+  if (PGN_SUFFIX_NAGS[suffix]) tokens.push({ type: "nag", value: PGN_SUFFIX_NAGS[suffix], line });
+}
+
+// Parse PGN text into games (see the top of this file for the returned shape)
+function parsePgn(text) {
+  const tokens = tokenizePgn(text);
+  const games = [];
+  const errors = [];
+  let game = null;
+  let hasMovetext = false;
+  let depth = 0;
+
+  const error = (message, line) => {
+    const err = { line, message };
+    errors.push(err);
+    if (game) game.errors.push(err);
+  };
+
+  const startGame = (line) => {
+    if (depth > 0) error("Unterminated variation", line);
+    game = { headers: {}, moves: [], comments: [], result: "*", line, errors: [] };
+    games.push(game);
+    hasMovetext = false;
+    depth = 0;
+  };
+
+  tokens.forEach((token) => {
+    if (token.type === "tag") {
+      if (!game || hasMovetext) startGame(token.line);
+      game.headers[token.name] = token.value;
+      return;
+    }
+
+    if (!game) startGame(token.line);
+
+    switch (token.type) {
+      case "error":
+        error(token.message, token.line);
+        break;
+      case "comment":
+        if (depth === 0) game.comments.push({ ply: game.moves.length, text: token.value, line: token.line });
+        break;
+      case "open":
+        if (game.moves.length === 0 && depth === 0) error("Variation before the first move", token.line);
+        depth++;
+        break;
+      case "close":
+        if (depth === 0) error("Unmatched )", token.line);
+        else depth--;
+        break;
+      case "san":
+        if (depth === 0) game.moves.push({ san: token.value, line: token.line });
+        break;
+      case "result":
+        if (depth > 0) {
+          error("Result inside a variation", token.line);
+          depth = 0;
+        }
+        game.result = token.value;
+        game = null;
+        break;
+      default:
+        // Move numbers and NAGs carry nothing we need
+        break;
+    }
+
+    if (game && token.type !== "comment" && token.type !== "error") hasMovetext = true;
+  });
+
+  if (game && depth > 0) error("Unterminated variation", game.line);
+
+  games.forEach((g) => {
+    if (g.headers.Result && g.result !== "*" && g.headers.Result !== g.result) {
+      const err = { line: g.line, message: `Result "${g.result}" does not match the Result tag "${g.headers.Result}"` };
+      errors.push(err);
+      g.errors.push(err);
+    }
+  });
+
+  return { games, errors };
+}
+
+// Return the starting FEN of a parsed game (SetUp/FEN tags or the standard position)
+function pgnStartFen(game) {
+  return game.headers.FEN || "rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1";
+}
+
+// Format a parser error as "Line 12: message"
+function formatPgnError(err) {
+  return `Line ${err.line}: ${err.message}`;
+}